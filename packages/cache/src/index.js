@@ -74,6 +74,16 @@ export function createCache(ctx) {
 
     keys() {
       return Array.from(cache.keys());
+    },
+
+    // 健康检查，供 core.health() 调用
+    healthCheck() {
+      return { status: 'ok', size: cache.size };
+    },
+
+    // 释放缓存：清除所有条目和 TTL 定时器
+    dispose() {
+      this.clear();
     }
   };
 
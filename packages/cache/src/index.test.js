@@ -378,4 +378,22 @@ describe('Cache', () => {
     // 原本的 TTL 应该已过期，但新值应该存在
     expect(cache.get('key')).toBe('value2');
   });
-});
\ No newline at end of file
+
+  it('should report its size in healthCheck', () => {
+    const cache = createCache();
+    cache.set('key1', 'value1');
+    cache.set('key2', 'value2');
+
+    expect(cache.healthCheck()).toEqual({ status: 'ok', size: 2 });
+  });
+
+  it('should clear entries and pending TTL timers on dispose', () => {
+    const cache = createCache();
+    cache.set('key1', 'value1', 100);
+    cache.set('key2', 'value2');
+
+    cache.dispose();
+    expect(cache.size()).toBe(0);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+});
@@ -3,65 +3,821 @@
  * 提供服务注册和依赖注入功能
  */
 
-export function createCore(options = {}) {
+/**
+ * 服务生命周期
+ * - transient：每次获取都创建新实例
+ * - singleton：在注册它的容器内只创建一次，子作用域共享
+ * - scoped：在每个作用域内各创建一次，根容器本身也视为一个作用域
+ */
+export const Lifetime = Object.freeze({
+  TRANSIENT: 'transient',
+  SINGLETON: 'singleton',
+  SCOPED: 'scoped'
+});
+
+function isPromise(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * 释放单个实例
+ * 依次查找 Symbol.asyncDispose、dispose()、close()，只调用找到的第一个
+ */
+async function disposeInstance(instance) {
+  if (instance === null || (typeof instance !== 'object' && typeof instance !== 'function')) {
+    return;
+  }
+  if (typeof Symbol.asyncDispose === 'symbol' && typeof instance[Symbol.asyncDispose] === 'function') {
+    await instance[Symbol.asyncDispose]();
+  } else if (typeof instance.dispose === 'function') {
+    await instance.dispose();
+  } else if (typeof instance.close === 'function') {
+    await instance.close();
+  }
+}
+
+/**
+ * 健康状态，按严重程度递增
+ */
+export const HealthStatus = Object.freeze({
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  FAILED: 'failed'
+});
+
+const HEALTH_SEVERITY = [HealthStatus.OK, HealthStatus.DEGRADED, HealthStatus.FAILED];
+
+/**
+ * 将 healthCheck() 的返回值归一化为 { status, ...details }
+ * 支持 boolean、状态字符串、或带 status 字段的对象；undefined 视为 ok
+ */
+function normalizeHealth(result) {
+  if (result === undefined || result === true) {
+    return { status: HealthStatus.OK };
+  }
+  if (result === false) {
+    return { status: HealthStatus.FAILED };
+  }
+  if (typeof result === 'string' && HEALTH_SEVERITY.includes(result)) {
+    return { status: result };
+  }
+  if (result && typeof result === 'object' && HEALTH_SEVERITY.includes(result.status)) {
+    return { ...result };
+  }
+  return { status: HealthStatus.FAILED, error: 'Invalid health check result' };
+}
+
+async function runHealthCheck(instance, timeout) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const result = await Promise.race([
+      Promise.resolve().then(() => instance.healthCheck()),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+      })
+    ]);
+    return { ...normalizeHealth(result), duration: Date.now() - startedAt };
+  } catch (error) {
+    return { status: HealthStatus.FAILED, error: error.message, duration: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function normalizeLifetime(lifetime) {
+  if (lifetime === true) return Lifetime.SINGLETON;
+  if (lifetime === false || lifetime === undefined || lifetime === null) return Lifetime.TRANSIENT;
+  if (Object.values(Lifetime).includes(lifetime)) return lifetime;
+  throw new Error(`Unknown service lifetime '${lifetime}'`);
+}
+
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || plugin.name === '') {
+    throw new Error('Plugin must have a name');
+  }
+  if (typeof plugin.register !== 'function') {
+    throw new Error(`Plugin '${plugin.name}' must provide a register function`);
+  }
+  if (plugin.dependencies !== undefined && !Array.isArray(plugin.dependencies)) {
+    throw new Error(`Plugin '${plugin.name}' dependencies must be an array`);
+  }
+}
+
+/**
+ * 按声明的依赖对一批插件做拓扑排序
+ * @param {Array<Object>} batch - 待安装插件
+ * @param {Function} isInstalled - 判断插件是否已安装
+ * @returns {Array<Object>} 安装顺序
+ */
+function sortPlugins(batch, isInstalled) {
+  const byName = new Map();
+  for (const plugin of batch) {
+    validatePlugin(plugin);
+    if (isInstalled(plugin.name) || byName.has(plugin.name)) {
+      throw new Error(`Plugin '${plugin.name}' is already installed`);
+    }
+    byName.set(plugin.name, plugin);
+  }
+
+  const ordered = [];
+  const visited = new Set();
+
+  function visit(plugin, path) {
+    if (visited.has(plugin.name)) return;
+    if (path.includes(plugin.name)) {
+      const cycle = [...path.slice(path.indexOf(plugin.name)), plugin.name];
+      throw new Error(`Circular plugin dependency: ${cycle.join(' -> ')}`);
+    }
+
+    for (const dep of plugin.dependencies || []) {
+      if (byName.has(dep)) {
+        visit(byName.get(dep), [...path, plugin.name]);
+      } else if (!isInstalled(dep)) {
+        throw new Error(`Plugin '${plugin.name}' depends on '${dep}' which is not installed`);
+      }
+    }
+
+    visited.add(plugin.name);
+    ordered.push(plugin);
+  }
+
+  for (const plugin of batch) {
+    visit(plugin, []);
+  }
+  return ordered;
+}
+
+function createContainer(parent, hooks = {}) {
   const services = new Map();
   const singletons = new Map();
+  // 正在创建中的异步实例，并发获取时共享同一个 Promise
+  const pending = new Map();
+  // 每个服务在构建期间解析过的依赖
+  const dependencies = new Map();
+  // 本容器缓存过的实例，按创建顺序记录，用于释放
+  const created = [];
+  let disposed = false;
+  // 服务名到装饰器列表的映射，按注册顺序组合
+  const decorators = new Map();
+  // 已安装的插件，按安装顺序
+  const installed = [];
+  // 释放按顺序串行执行；remove/register/clear 是同步 API，释放错误先收集，由 dispose() 统一抛出
+  let disposal = Promise.resolve();
+  const disposalErrors = [];
+
+  function hasPlugin(name) {
+    return installed.some((plugin) => plugin.name === name) || (parent ? parent.hasPlugin(name) : false);
+  }
+
+  /**
+   * 按安装的逆序调用插件的 dispose 钩子
+   */
+  function schedulePluginDisposal() {
+    const plugins = installed.splice(0).reverse();
+    disposal = disposal.then(async () => {
+      for (const plugin of plugins) {
+        if (typeof plugin.dispose !== 'function') continue;
+        try {
+          await plugin.dispose(core);
+        } catch (error) {
+          disposalErrors.push(error);
+        }
+      }
+    });
+  }
+
+  function scheduleDisposal(entries) {
+    if (entries.length === 0) return disposal;
+    disposal = disposal.then(async () => {
+      for (const { instance } of entries.slice().reverse()) {
+        try {
+          await disposeInstance(instance);
+        } catch (error) {
+          disposalErrors.push(error);
+        }
+      }
+    });
+    return disposal;
+  }
+
+  /**
+   * 为一次服务构建创建解析上下文
+   * 上下文继承 core 的全部方法，但 get/getAsync 会记录依赖并沿解析路径检测循环；
+   * 工厂返回（或其 Promise 结束）后，上下文退化为普通的 core.get
+   */
+  function createResolutionContext(name, path) {
+    if (!dependencies.has(name)) {
+      dependencies.set(name, new Set());
+    }
+    const deps = dependencies.get(name);
+    const childPath = [...path, name];
+    let active = true;
+
+    const ctx = Object.create(core);
+    ctx.get = (dep) => {
+      if (!active) {
+        return core.get(dep);
+      }
+      deps.add(dep);
+      return resolve(dep, childPath);
+    };
+    ctx.getAsync = async (dep) => ctx.get(dep);
+
+    return {
+      ctx,
+      done() {
+        active = false;
+      }
+    };
+  }
+
+  /**
+   * 沿作用域链收集装饰器，父容器的装饰器先于子容器
+   */
+  function collectDecorators(name) {
+    const inherited = parent ? parent.collectDecorators(name) : [];
+    return inherited.concat(decorators.get(name) || []);
+  }
+
+  function build(name, service, path) {
+    const { ctx, done } = createResolutionContext(name, path);
+    let instance;
+    try {
+      instance = service.factory(ctx);
+      for (const decorator of collectDecorators(name)) {
+        instance = isPromise(instance)
+          ? instance.then((value) => decorator(value, ctx))
+          : decorator(instance, ctx);
+      }
+    } catch (error) {
+      done();
+      throw error;
+    }
+
+    if (isPromise(instance)) {
+      instance.then(done, done);
+    } else {
+      done();
+    }
+    return instance;
+  }
+
+  function remember(name, instance) {
+    singletons.set(name, instance);
+    created.push({ name, instance });
+    hooks.onCreate?.(name, instance);
+  }
+
+  /**
+   * 移除缓存的实例并安排释放
+   */
+  function forget(name) {
+    singletons.delete(name);
+    pending.delete(name);
+    const index = created.findIndex((entry) => entry.name === name);
+    if (index !== -1) {
+      scheduleDisposal(created.splice(index, 1));
+    }
+  }
+
+  function forgetAll() {
+    singletons.clear();
+    pending.clear();
+    return scheduleDisposal(created.splice(0));
+  }
+
+  /**
+   * 在本容器内获取或创建缓存实例（singleton 与 scoped 共用）
+   */
+  function getCached(name, service, path) {
+    if (singletons.has(name)) {
+      return singletons.get(name);
+    }
+    if (pending.has(name)) {
+      return pending.get(name);
+    }
+
+    const instance = build(name, service, path);
+    if (!isPromise(instance)) {
+      remember(name, instance);
+      return instance;
+    }
+
+    const promise = instance.then(
+      (value) => {
+        // 创建期间服务可能已被重新注册、删除或容器已释放，此时不再缓存旧实例，直接释放
+        if (pending.get(name) === promise) {
+          pending.delete(name);
+          remember(name, value);
+        } else {
+          scheduleDisposal([{ name, instance: value }]);
+        }
+        return value;
+      },
+      (error) => {
+        // 失败的工厂不缓存，下次获取时重新创建
+        if (pending.get(name) === promise) {
+          pending.delete(name);
+        }
+        throw error;
+      }
+    );
+    pending.set(name, promise);
+    return promise;
+  }
+
+  /**
+   * 沿作用域链查找注册信息
+   */
+  function lookup(name) {
+    if (services.has(name)) {
+      return { service: services.get(name), owner: internals };
+    }
+    return parent ? parent.lookup(name) : null;
+  }
+
+  function resolve(name, path) {
+    if (disposed) {
+      throw new Error('Container has been disposed');
+    }
+
+    if (path.includes(name)) {
+      const cycle = [...path.slice(path.indexOf(name)), name];
+      const error = new Error(`Circular dependency: ${cycle.join(' -> ')}`);
+      error.path = cycle;
+      throw error;
+    }
+
+    const registration = lookup(name);
+    if (!registration) {
+      throw new Error(`Service '${name}' not registered`);
+    }
+
+    const { service, owner } = registration;
+    switch (service.lifetime) {
+      case Lifetime.SINGLETON:
+        // 单例由注册它的容器创建和缓存，避免捕获子作用域中的服务
+        return owner.getCached(name, service, path);
+      case Lifetime.SCOPED:
+        return getCached(name, service, path);
+      default:
+        return build(name, service, path);
+    }
+  }
+
+  const internals = { lookup, getCached, hasPlugin, collectDecorators };
 
   const core = {
-    register(name, factory, singleton = false) {
-      services.set(name, { factory, singleton });
-      singletons.delete(name);
+    register(name, factory, lifetime = false) {
+      const normalized = normalizeLifetime(lifetime);
+      services.set(name, { factory, lifetime: normalized });
+      forget(name);
+      dependencies.delete(name);
+      hooks.onRegister?.(name, normalized);
       return this;
     },
 
     get(name) {
-      const service = services.get(name);
-      if (!service) {
-        throw new Error(`Service '${name}' not registered`);
-      }
+      return resolve(name, []);
+    },
 
-      if (service.singleton) {
-        if (singletons.has(name)) {
-          return singletons.get(name);
-        }
-        const instance = service.factory(this);
-        singletons.set(name, instance);
-        return instance;
-      }
+    /**
+     * 异步获取服务，支持返回 Promise 的工厂
+     * @param {string} name - 服务名
+     * @returns {Promise<any>} 服务实例
+     */
+    async getAsync(name) {
+      return this.get(name);
+    },
 
-      return service.factory(this);
+    /**
+     * 获取依赖图：每个服务在构建期间通过 ctx.get 解析过的服务
+     * @returns {Object<string, string[]>} 服务名到依赖列表的映射
+     */
+    graph() {
+      const result = {};
+      for (const name of this.list()) {
+        result[name] = Array.from(dependencies.get(name) || []);
+      }
+      return result;
     },
 
     has(name) {
-      return services.has(name);
+      return lookup(name) !== null;
+    },
+
+    /**
+     * 为服务添加装饰器，在实例创建后包装它，例如 (storage, ctx) => wrapped
+     * 多个装饰器按注册顺序组合；单例只在创建时装饰一次，已缓存的实例不受影响
+     * @param {string} name - 服务名
+     * @param {Function} decorator - 装饰器，签名为 (instance, ctx) => instance，可返回 Promise
+     * @returns {Object} core 本身
+     */
+    decorate(name, decorator) {
+      if (typeof decorator !== 'function') {
+        throw new Error(`Decorator for '${name}' must be a function`);
+      }
+      if (!decorators.has(name)) {
+        decorators.set(name, []);
+      }
+      decorators.get(name).push(decorator);
+      return this;
     },
 
     remove(name) {
       services.delete(name);
-      singletons.delete(name);
+      forget(name);
+      dependencies.delete(name);
       return this;
     },
 
     clear() {
       services.clear();
-      singletons.clear();
+      dependencies.clear();
+      decorators.clear();
+      schedulePluginDisposal();
+      forgetAll();
       return this;
     },
 
     list() {
-      return Array.from(services.keys());
+      const names = parent ? parent.core.list() : [];
+      for (const name of services.keys()) {
+        if (!names.includes(name)) {
+          names.push(name);
+        }
+      }
+      return names;
     },
 
     // 批量注册服务
     registerAll(registrations) {
-      for (const [name, factory, singleton] of registrations) {
-        this.register(name, factory, singleton);
+      for (const [name, factory, lifetime] of registrations) {
+        this.register(name, factory, lifetime);
       }
       return this;
+    },
+
+    /**
+     * 安装插件
+     * 插件形如 { name, dependencies?, register(core), start?, stop?, dispose? }；
+     * 传入数组时按声明的依赖排序后依次安装，依赖必须已安装或位于同一批中
+     * @param {Object|Array<Object>} plugin - 插件或插件数组
+     * @returns {Object} core 本身
+     */
+    use(plugin) {
+      const batch = Array.isArray(plugin) ? plugin : [plugin];
+      for (const item of sortPlugins(batch, hasPlugin)) {
+        item.register(this);
+        installed.push(item);
+      }
+      return this;
+    },
+
+    /**
+     * 获取已安装的插件（按安装顺序）
+     * @returns {Array<Object>} 插件列表
+     */
+    plugins() {
+      return installed.slice();
+    },
+
+    /**
+     * 检查本容器中已实例化服务的健康状态
+     * 调用每个实例可选的 healthCheck()，抛错或超时视为 failed；
+     * 汇总状态取所有检查中最严重的一项
+     * @param {Object} options - 检查选项
+     * @param {number} options.timeout - 单个检查的超时时间（毫秒），默认 5000
+     * @returns {Promise<{status: string, checks: Object<string, Object>}>} 健康报告
+     */
+    async health(options = {}) {
+      const { timeout = 5000 } = options;
+      const targets = created.filter(({ instance }) => instance && typeof instance.healthCheck === 'function');
+      const results = await Promise.all(targets.map(({ instance }) => runHealthCheck(instance, timeout)));
+
+      const checks = {};
+      let severity = 0;
+      targets.forEach(({ name }, index) => {
+        checks[name] = results[index];
+        severity = Math.max(severity, HEALTH_SEVERITY.indexOf(results[index].status));
+      });
+
+      return { status: HEALTH_SEVERITY[severity], checks };
+    },
+
+    /**
+     * 创建子作用域
+     * 子作用域继承当前容器的注册，可覆盖注册，并拥有独立的 scoped 实例缓存
+     * @returns {Object} 子容器
+     */
+    createScope() {
+      return createContainer(internals).core;
+    },
+
+    /**
+     * 释放本容器创建的实例
+     * 先按安装逆序调用插件的 dispose 钩子，再按创建的逆序调用实例的
+     * Symbol.asyncDispose/dispose()/close()，不会影响父容器中的单例；
+     * 之前 remove/register/clear 触发的释放错误也会一并汇总抛出
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+      disposed = true;
+      schedulePluginDisposal();
+      await forgetAll();
+
+      if (disposalErrors.length > 0) {
+        const errors = disposalErrors.splice(0);
+        throw new AggregateError(errors, 'Failed to dispose services');
+      }
+    }
+  };
+
+  internals.core = core;
+  return internals;
+}
+
+/**
+ * 创建根容器
+ * @param {Object} options - 配置选项
+ * @param {Function} options.onRegister - 注册服务时调用，签名为 (name, lifetime)
+ * @param {Function} options.onCreate - 本容器缓存新实例（单例或根作用域的 scoped）时调用，签名为 (name, instance)，
+ *   按创建完成的先后调用，依赖总是先于依赖它的服务
+ * @returns {Object} 容器
+ */
+export function createCore(options = {}) {
+  const { onRegister, onCreate } = options;
+  return createContainer(null, { onRegister, onCreate }).core;
+}
+
+/**
+ * 简易事件总线
+ * 供 kernel 的 ctx.on/ctx.emit 使用，库之间借此解耦通信
+ */
+function createEventBus() {
+  const listeners = new Map();
+
+  return {
+    on(event, handler) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+      listeners.get(event).add(handler);
+      return () => this.off(event, handler);
+    },
+
+    off(event, handler) {
+      if (listeners.has(event)) {
+        listeners.get(event).delete(handler);
+      }
+    },
+
+    emit(event, payload) {
+      if (!listeners.has(event)) return;
+      for (const handler of Array.from(listeners.get(event))) {
+        handler(payload);
+      }
+    }
+  };
+}
+
+/**
+ * 创建内核
+ * 按需实例化服务，并按依赖顺序管理 start/stop 生命周期
+ * @param {Object} options - 配置选项
+ * @param {Object<string, Function>} options.factories - 服务工厂，签名为 (ctx) => instance，可返回 Promise
+ * @param {Object} options.config - 应用配置，通过 ctx.config 暴露给各服务
+ * @param {Array<Object>} options.plugins - 启动前安装的插件，见 core.use
+ * @returns {Object} 内核实例
+ */
+export function createKernel(options = {}) {
+  const { factories = {}, config = {}, plugins = [] } = options;
+  // 以单例注册的服务（包括插件注册的），start 时全部实例化
+  const singletons = new Set();
+  // 按实例化完成的先后记录服务：依赖总是先于依赖它的服务完成构建
+  const created = [];
+  const core = createCore({
+    onRegister(name, lifetime) {
+      // 重新注册会丢弃旧实例
+      const index = created.findIndex((entry) => entry.name === name);
+      if (index !== -1) created.splice(index, 1);
+      if (lifetime === Lifetime.SINGLETON) {
+        singletons.add(name);
+      } else {
+        singletons.delete(name);
+      }
+    },
+    onCreate(name, instance) {
+      if (singletons.has(name)) created.push({ name, instance });
+    }
+  });
+  const bus = createEventBus();
+  // 已启动的服务与插件，按启动顺序记录，stop 时逆序停止
+  let running = [];
+  let started = false;
+  // 进行中的启动，并发调用 start() 时共享同一个 Promise，避免重复启动服务
+  let starting = null;
+
+  const ctx = {
+    config,
+    get: (name) => core.get(name),
+    getAsync: (name) => core.getAsync(name),
+    has: (name) => core.has(name),
+    on: (event, handler) => bus.on(event, handler),
+    off: (event, handler) => bus.off(event, handler),
+    emit: (event, payload) => bus.emit(event, payload)
+  };
+
+  for (const [name, factory] of Object.entries(factories)) {
+    core.register(name, (c) => {
+      // 工厂拿到的 ctx 通过 core 的解析上下文获取依赖，以便记录依赖图和检测循环
+      return factory({
+        ...ctx,
+        get: (dep) => c.get(dep),
+        getAsync: (dep) => c.getAsync(dep)
+      });
+    }, true);
+  }
+
+  core.use(plugins);
+
+  async function stopServices(entries) {
+    const errors = [];
+    for (const { instance } of entries.slice().reverse()) {
+      if (instance && typeof instance.stop === 'function') {
+        try {
+          await instance.stop();
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * 实例化所有单例服务（工厂与插件注册的）后，依次启动服务与插件
+   */
+  async function startAll() {
+    for (const name of Array.from(singletons)) {
+      if (core.has(name)) await core.getAsync(name);
+    }
+
+    // 先启动服务，再按安装顺序启动插件；插件的钩子接收 ctx
+    const units = [
+      ...created,
+      ...core.plugins().map((plugin) => ({
+        name: plugin.name,
+        instance: {
+          start: typeof plugin.start === 'function' ? () => plugin.start(ctx) : undefined,
+          stop: typeof plugin.stop === 'function' ? () => plugin.stop(ctx) : undefined
+        }
+      }))
+    ];
+
+    running = [];
+    for (const entry of units) {
+      if (entry.instance && typeof entry.instance.start === 'function') {
+        try {
+          await entry.instance.start();
+        } catch (error) {
+          // 启动失败时按逆序停止已启动的服务，避免留下半启动状态
+          await stopServices(running);
+          running = [];
+          throw error;
+        }
+      }
+      running.push(entry);
+    }
+
+    started = true;
+    bus.emit('kernel:start');
+  }
+
+  const kernel = {
+    ctx,
+    config,
+    get: ctx.get,
+    getAsync: ctx.getAsync,
+    has: ctx.has,
+    on: ctx.on,
+    off: ctx.off,
+    emit: ctx.emit,
+
+    use(plugin) {
+      core.use(plugin);
+      return kernel;
+    },
+
+    plugins: () => core.plugins(),
+
+    health: (healthOptions) => core.health(healthOptions),
+
+    decorate(name, decorator) {
+      core.decorate(name, decorator);
+      return kernel;
+    },
+
+    isStarted() {
+      return started;
+    },
+
+    async start() {
+      if (started) return;
+      if (!starting) {
+        starting = startAll().finally(() => {
+          starting = null;
+        });
+      }
+      return starting;
+    },
+
+    async stop() {
+      // 等待进行中的启动结束，再停止它启动的服务
+      await starting?.catch(() => {});
+      if (!started) return;
+      started = false;
+
+      const errors = await stopServices(running);
+      running = [];
+      bus.emit('kernel:stop');
+      if (errors.length > 0) {
+        throw new AggregateError(errors, 'Failed to stop services');
+      }
+    },
+
+    /**
+     * 停止（如已启动）并释放所有服务实例
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+      const errors = [];
+      try {
+        await kernel.stop();
+      } catch (error) {
+        errors.push(...(error instanceof AggregateError ? error.errors : [error]));
+      }
+      created.length = 0;
+      try {
+        await core.dispose();
+      } catch (error) {
+        errors.push(...error.errors);
+      }
+      if (errors.length > 0) {
+        throw new AggregateError(errors, 'Failed to dispose kernel');
+      }
     }
   };
 
-  return core;
+  return kernel;
+}
+
+/**
+ * 引擎默认装配的库
+ */
+export const ENGINE_LIBRARIES = ['storage', 'schema', 'security', 'query', 'sync'];
+
+/**
+ * 创建引擎
+ * Core 不直接依赖各个库，库的工厂通过 options.factories 传入，签名为 (ctx, libOptions) => instance，
+ * 其中 libOptions 取自 options[name]（如 options.storage）
+ * @param {Object} options - 配置选项
+ * @param {Object} options.config - 应用配置
+ * @param {Object<string, Function>} options.factories - 库工厂
+ * @returns {Object} 引擎实例，通过 getter 暴露 engine.storage / engine.query 等
+ */
+export function createEngine(options = {}) {
+  const { config = {}, factories = {}, plugins = [] } = options;
+
+  const wrapped = {};
+  for (const [name, factory] of Object.entries(factories)) {
+    wrapped[name] = (ctx) => factory(ctx, options[name] || {});
+  }
+
+  const kernel = createKernel({ factories: wrapped, config, plugins });
+  const engine = {
+    ...kernel,
+    // 链式调用应返回带库 getter 的引擎，而不是底层的内核
+    use(plugin) {
+      kernel.use(plugin);
+      return engine;
+    },
+    decorate(name, decorator) {
+      kernel.decorate(name, decorator);
+      return engine;
+    }
+  };
+
+  for (const name of new Set([...ENGINE_LIBRARIES, ...Object.keys(factories)])) {
+    if (name in engine) continue;
+    Object.defineProperty(engine, name, {
+      get: () => kernel.get(name),
+      enumerable: true
+    });
+  }
+
+  return engine;
 }
 
 export default createCore;
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, createKernel } from './index.js';
+import { MemoryStorage } from '../../storage/src/index.js';
+
+describe('Core: Async Factories', () => {
+  it('should resolve async factories with getAsync', async () => {
+    const core = createCore();
+    core.register('storage', async () => {
+      const storage = new MemoryStorage();
+      await storage.open();
+      return storage;
+    }, true);
+
+    const storage = await core.getAsync('storage');
+    expect(storage.isOpen).toBe(true);
+    expect(core.get('storage')).toBe(storage);
+  });
+
+  it('should resolve sync factories with getAsync', async () => {
+    const core = createCore();
+    core.register('config', () => ({ appId: 'demo' }));
+
+    expect(await core.getAsync('config')).toEqual({ appId: 'demo' });
+  });
+
+  it('should reject for unregistered services', async () => {
+    const core = createCore();
+    await expect(core.getAsync('missing')).rejects.toThrow("Service 'missing' not registered");
+  });
+
+  it('should share the in-flight promise between concurrent callers', async () => {
+    const core = createCore();
+    let calls = 0;
+    core.register('db', async () => {
+      calls++;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return { id: calls };
+    }, true);
+
+    const [a, b, c] = await Promise.all([
+      core.getAsync('db'),
+      core.getAsync('db'),
+      core.get('db')
+    ]);
+
+    expect(calls).toBe(1);
+    expect(a).toBe(b);
+    expect(b).toBe(c);
+  });
+
+  it('should not cache a rejected singleton factory', async () => {
+    const core = createCore();
+    let calls = 0;
+    core.register('flaky', async () => {
+      calls++;
+      if (calls === 1) {
+        throw new Error('open failed');
+      }
+      return { ok: true };
+    }, true);
+
+    await expect(core.getAsync('flaky')).rejects.toThrow('open failed');
+    expect(await core.getAsync('flaky')).toEqual({ ok: true });
+    expect(calls).toBe(2);
+  });
+
+  it('should reject when a sync factory throws', async () => {
+    const core = createCore();
+    core.register('broken', () => {
+      throw new Error('Factory error');
+    }, true);
+
+    await expect(core.getAsync('broken')).rejects.toThrow('Factory error');
+  });
+
+  it('should not cache an instance whose registration was replaced while pending', async () => {
+    const core = createCore();
+    core.register('svc', async () => ({ version: 1 }), true);
+
+    const first = core.getAsync('svc');
+    core.register('svc', async () => ({ version: 2 }), true);
+
+    expect(await first).toEqual({ version: 1 });
+    expect(await core.getAsync('svc')).toEqual({ version: 2 });
+  });
+
+  it('should create a new instance per call for async transient factories', async () => {
+    const core = createCore();
+    let count = 0;
+    core.register('session', async () => ({ id: ++count }));
+
+    const a = await core.getAsync('session');
+    const b = await core.getAsync('session');
+    expect(a.id).not.toBe(b.id);
+  });
+
+  it('should let async factories await other services', async () => {
+    const core = createCore();
+    core.register('storage', async () => {
+      const storage = new MemoryStorage();
+      await storage.open();
+      await storage.put('greeting', 'hello');
+      return storage;
+    }, true);
+    core.register('repo', async (c) => {
+      const storage = await c.getAsync('storage');
+      return { greeting: await storage.get('greeting') };
+    }, true);
+
+    expect(await core.getAsync('repo')).toEqual({ greeting: 'hello' });
+  });
+
+  it('should await async factories before starting kernel services', async () => {
+    const kernel = createKernel({
+      factories: {
+        storage: async () => {
+          const storage = new MemoryStorage();
+          storage.stop = () => storage.close();
+          await storage.open();
+          return storage;
+        }
+      }
+    });
+
+    await kernel.start();
+    const storage = kernel.get('storage');
+    expect(storage.isOpen).toBe(true);
+
+    await kernel.stop();
+    expect(storage.isOpen).toBe(false);
+  });
+});
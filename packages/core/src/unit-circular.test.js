@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, createKernel } from './index.js';
+
+describe('Core: Circular Dependency Detection', () => {
+  it('should report the resolution path for a direct cycle', () => {
+    const core = createCore();
+    core.register('A', (c) => ({ b: c.get('B') }));
+    core.register('B', (c) => ({ a: c.get('A') }));
+
+    expect(() => core.get('A')).toThrow('Circular dependency: A -> B -> A');
+  });
+
+  it('should report only the cyclic part of a longer path', () => {
+    const core = createCore();
+    core.register('app', (c) => ({ a: c.get('A') }), true);
+    core.register('A', (c) => ({ b: c.get('B') }), true);
+    core.register('B', (c) => ({ c: c.get('C') }), true);
+    core.register('C', (c) => ({ a: c.get('A') }), true);
+
+    let error;
+    try {
+      core.get('app');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toBe('Circular dependency: A -> B -> C -> A');
+    expect(error.path).toEqual(['A', 'B', 'C', 'A']);
+  });
+
+  it('should detect a service depending on itself', () => {
+    const core = createCore();
+    core.register('self', (c) => ({ self: c.get('self') }), true);
+
+    expect(() => core.get('self')).toThrow('Circular dependency: self -> self');
+  });
+
+  it('should not cache singletons involved in a failed cycle', () => {
+    const core = createCore();
+    let useCycle = true;
+    core.register('A', (c) => ({ b: c.get('B') }), true);
+    core.register('B', (c) => (useCycle ? { a: c.get('A') } : { leaf: true }), true);
+
+    expect(() => core.get('A')).toThrow('Circular dependency');
+    useCycle = false;
+    expect(core.get('A').b).toEqual({ leaf: true });
+  });
+
+  it('should detect cycles between async factories instead of deadlocking', async () => {
+    const core = createCore();
+    core.register('A', async (c) => ({ b: await c.getAsync('B') }), true);
+    core.register('B', async (c) => ({ a: await c.getAsync('A') }), true);
+
+    await expect(core.getAsync('A')).rejects.toThrow('Circular dependency: A -> B -> A');
+  });
+
+  it('should allow lazy lookups of a service after construction', () => {
+    const core = createCore();
+    core.register('node', (c) => ({
+      name: 'node',
+      again: () => c.get('node')
+    }), true);
+
+    const node = core.get('node');
+    expect(node.again()).toBe(node);
+  });
+
+  it('should allow diamond dependencies', () => {
+    const core = createCore();
+    core.register('storage', () => ({}), true);
+    core.register('schema', (c) => ({ storage: c.get('storage') }), true);
+    core.register('query', (c) => ({ storage: c.get('storage') }), true);
+    core.register('app', (c) => ({ schema: c.get('schema'), query: c.get('query') }), true);
+
+    const app = core.get('app');
+    expect(app.schema.storage).toBe(app.query.storage);
+  });
+
+  it('should detect cycles between kernel factories', () => {
+    const kernel = createKernel({
+      factories: {
+        storage: (ctx) => ({ sync: ctx.get('sync') }),
+        sync: (ctx) => ({ storage: ctx.get('storage') })
+      }
+    });
+
+    expect(() => kernel.get('storage')).toThrow('Circular dependency: storage -> sync -> storage');
+  });
+});
+
+describe('Core: graph', () => {
+  it('should report which services each factory resolved', async () => {
+    const core = createCore();
+    core.register('config', () => ({}), true);
+    core.register('storage', (c) => ({ config: c.get('config') }), true);
+    core.register('query', async (c) => ({
+      storage: await c.getAsync('storage'),
+      config: c.get('config')
+    }), true);
+    core.register('unused', () => ({}));
+
+    await core.getAsync('query');
+
+    expect(core.graph()).toEqual({
+      config: [],
+      storage: ['config'],
+      query: ['storage', 'config'],
+      unused: []
+    });
+  });
+
+  it('should forget dependencies when a service is re-registered or removed', () => {
+    const core = createCore();
+    core.register('a', () => ({}));
+    core.register('b', (c) => ({ a: c.get('a') }), true);
+    core.get('b');
+    expect(core.graph().b).toEqual(['a']);
+
+    core.register('b', () => ({}), true);
+    expect(core.graph().b).toEqual([]);
+
+    core.remove('b');
+    expect(core.graph()).toEqual({ a: [] });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, createKernel } from './index.js';
+import { createStorage } from '../../storage/src/index.js';
+
+describe('Core: Decorators', () => {
+  it('should wrap storage.put without modifying the storage package', async () => {
+    const core = createCore();
+    const writes = [];
+    core.register('storage', () => createStorage('memory'), true);
+    core.decorate('storage', (storage) => {
+      const put = storage.put.bind(storage);
+      storage.put = async (key, value) => {
+        writes.push(key);
+        return put(key, value);
+      };
+      return storage;
+    });
+
+    const storage = core.get('storage');
+    await storage.open();
+    await storage.put('user:1', { name: 'Alice' });
+
+    expect(writes).toEqual(['user:1']);
+    expect(await storage.get('user:1')).toEqual({ name: 'Alice' });
+  });
+
+  it('should compose decorators in registration order', () => {
+    const core = createCore();
+    core.register('greeting', () => 'hello');
+    core.decorate('greeting', (value) => `${value} world`);
+    core.decorate('greeting', (value) => value.toUpperCase());
+
+    expect(core.get('greeting')).toBe('HELLO WORLD');
+  });
+
+  it('should apply decorators once for singletons', () => {
+    const core = createCore();
+    let calls = 0;
+    core.register('svc', () => ({}), true);
+    core.decorate('svc', (instance) => {
+      calls++;
+      return { inner: instance };
+    });
+
+    expect(core.get('svc')).toBe(core.get('svc'));
+    expect(calls).toBe(1);
+  });
+
+  it('should apply decorators to every transient instance', () => {
+    const core = createCore();
+    let calls = 0;
+    core.register('svc', () => ({}));
+    core.decorate('svc', (instance) => {
+      calls++;
+      return instance;
+    });
+
+    core.get('svc');
+    core.get('svc');
+    expect(calls).toBe(2);
+  });
+
+  it('should pass a context that can resolve other services', () => {
+    const core = createCore();
+    core.register('logger', () => ({ lines: [] }), true);
+    core.register('storage', () => ({ put: (key) => key }), true);
+    core.decorate('storage', (storage, ctx) => ({
+      put: (key) => {
+        ctx.get('logger').lines.push(`put ${key}`);
+        return storage.put(key);
+      }
+    }));
+
+    core.get('storage').put('a');
+    expect(core.get('logger').lines).toEqual(['put a']);
+  });
+
+  it('should decorate async singletons after they resolve', async () => {
+    const core = createCore();
+    core.register('db', async () => ({ ready: true }), true);
+    core.decorate('db', async (db) => ({ ...db, decorated: true }));
+
+    const [a, b] = await Promise.all([core.getAsync('db'), core.getAsync('db')]);
+    expect(a).toEqual({ ready: true, decorated: true });
+    expect(a).toBe(b);
+  });
+
+  it('should keep decorators when the service is re-registered', () => {
+    const core = createCore();
+    core.decorate('svc', (value) => value * 2);
+    core.register('svc', () => 1, true);
+    expect(core.get('svc')).toBe(2);
+
+    core.register('svc', () => 5, true);
+    expect(core.get('svc')).toBe(10);
+  });
+
+  it('should not cache a singleton when a decorator throws', () => {
+    const core = createCore();
+    let fail = true;
+    core.register('svc', () => ({}), true);
+    core.decorate('svc', (instance) => {
+      if (fail) throw new Error('access denied');
+      return instance;
+    });
+
+    expect(() => core.get('svc')).toThrow('access denied');
+    fail = false;
+    expect(core.get('svc')).toEqual({});
+  });
+
+  it('should apply parent decorators before scope decorators', () => {
+    const core = createCore();
+    core.register('principal', () => [], 'scoped');
+    core.decorate('principal', (list) => [...list, 'parent']);
+
+    const scope = core.createScope();
+    scope.decorate('principal', (list) => [...list, 'scope']);
+
+    expect(scope.get('principal')).toEqual(['parent', 'scope']);
+    expect(core.get('principal')).toEqual(['parent']);
+  });
+
+  it('should reject non-function decorators', () => {
+    const core = createCore();
+    expect(() => core.decorate('svc', null)).toThrow("Decorator for 'svc' must be a function");
+  });
+
+  it('should decorate kernel services', () => {
+    const kernel = createKernel({
+      factories: {
+        storage: () => ({ kind: 'memory' })
+      }
+    });
+    kernel.decorate('storage', (storage) => ({ ...storage, timed: true }));
+
+    expect(kernel.get('storage')).toEqual({ kind: 'memory', timed: true });
+  });
+});
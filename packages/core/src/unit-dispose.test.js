@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, createKernel } from './index.js';
+import { MemoryStorage } from '../../storage/src/index.js';
+import { createCache } from '../../cache/src/index.js';
+
+function tracker() {
+  const calls = [];
+  const disposable = (name, method = 'dispose') => () => ({
+    [method]: () => {
+      calls.push(name);
+    }
+  });
+  return { calls, disposable };
+}
+
+describe('Core: Disposal', () => {
+  it('should dispose all singletons in reverse creation order', async () => {
+    const core = createCore();
+    const { calls, disposable } = tracker();
+    core.register('config', disposable('config'), true);
+    core.register('storage', (c) => {
+      c.get('config');
+      return { dispose: () => calls.push('storage') };
+    }, true);
+    core.register('query', (c) => {
+      c.get('storage');
+      return { dispose: () => calls.push('query') };
+    }, true);
+
+    core.get('query');
+    await core.dispose();
+
+    expect(calls).toEqual(['query', 'storage', 'config']);
+  });
+
+  it('should support dispose, close and Symbol.asyncDispose', async () => {
+    const core = createCore();
+    const { calls, disposable } = tracker();
+    core.register('a', disposable('a', 'dispose'), true);
+    core.register('b', disposable('b', 'close'), true);
+    core.register('c', disposable('c', Symbol.asyncDispose), true);
+
+    core.get('a');
+    core.get('b');
+    core.get('c');
+    await core.dispose();
+
+    expect(calls).toEqual(['c', 'b', 'a']);
+  });
+
+  it('should only call one disposal method per instance', async () => {
+    const core = createCore();
+    const calls = [];
+    core.register('svc', () => ({
+      dispose: () => calls.push('dispose'),
+      close: () => calls.push('close')
+    }), true);
+
+    core.get('svc');
+    await core.dispose();
+    expect(calls).toEqual(['dispose']);
+  });
+
+  it('should close storage when a singleton is removed', async () => {
+    const core = createCore();
+    core.register('storage', async () => {
+      const storage = new MemoryStorage();
+      await storage.open();
+      return storage;
+    }, true);
+
+    const storage = await core.getAsync('storage');
+    expect(core.remove('storage')).toBe(core);
+    await core.dispose();
+
+    expect(storage.isOpen).toBe(false);
+  });
+
+  it('should dispose the previous singleton when the service is re-registered', async () => {
+    const core = createCore();
+    const { calls, disposable } = tracker();
+    core.register('svc', disposable('v1'), true);
+    core.get('svc');
+
+    core.register('svc', disposable('v2'), true);
+    core.get('svc');
+    await core.dispose();
+
+    expect(calls).toEqual(['v1', 'v2']);
+  });
+
+  it('should dispose everything on clear', async () => {
+    const core = createCore();
+    core.register('cache', () => createCache(), true);
+    const cache = core.get('cache');
+    cache.set('key', 'value', 60000);
+
+    core.clear();
+    await core.dispose();
+
+    expect(cache.size()).toBe(0);
+    expect(core.list()).toEqual([]);
+  });
+
+  it('should not dispose transient instances', async () => {
+    const core = createCore();
+    const { calls, disposable } = tracker();
+    core.register('transient', disposable('transient'));
+
+    core.get('transient');
+    await core.dispose();
+    expect(calls).toEqual([]);
+  });
+
+  it('should dispose async singletons that resolve after removal', async () => {
+    const core = createCore();
+    const { calls } = tracker();
+    core.register('late', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return { dispose: () => calls.push('late') };
+    }, true);
+
+    const pending = core.getAsync('late');
+    core.remove('late');
+    await pending;
+    await core.dispose();
+
+    expect(calls).toEqual(['late']);
+  });
+
+  it('should aggregate disposal errors and keep disposing the rest', async () => {
+    const core = createCore();
+    const { calls, disposable } = tracker();
+    core.register('a', disposable('a'), true);
+    core.register('b', () => ({ close: async () => { throw new Error('b failed'); } }), true);
+    core.register('c', () => ({ dispose: () => { throw new Error('c failed'); } }), true);
+
+    core.get('a');
+    core.get('b');
+    core.get('c');
+
+    const error = await core.dispose().catch((e) => e);
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors.map((e) => e.message)).toEqual(['c failed', 'b failed']);
+    expect(calls).toEqual(['a']);
+  });
+
+  it('should report errors from earlier removals on dispose', async () => {
+    const core = createCore();
+    core.register('svc', () => ({ dispose: () => { throw new Error('remove failed'); } }), true);
+    core.get('svc');
+    core.remove('svc');
+
+    await expect(core.dispose()).rejects.toThrow('Failed to dispose services');
+  });
+
+  it('should stop and dispose kernel services', async () => {
+    const calls = [];
+    const kernel = createKernel({
+      factories: {
+        storage: () => ({
+          stop: () => calls.push('stop'),
+          close: () => calls.push('close')
+        })
+      }
+    });
+
+    await kernel.start();
+    await kernel.dispose();
+    expect(calls).toEqual(['stop', 'close']);
+  });
+});
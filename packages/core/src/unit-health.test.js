@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, createKernel, HealthStatus } from './index.js';
+import { MemoryStorage } from '../../storage/src/index.js';
+import { createCache } from '../../cache/src/index.js';
+import { createSyncConnection } from '../../sync/src/sync.ts';
+
+describe('Core: Health Checks', () => {
+  it('should report ok when no service has been instantiated', async () => {
+    const core = createCore();
+    core.register('storage', () => new MemoryStorage(), true);
+
+    expect(await core.health()).toEqual({ status: 'ok', checks: {} });
+  });
+
+  it('should aggregate storage, cache and sync health', async () => {
+    const core = createCore();
+    core.register('storage', async () => {
+      const storage = new MemoryStorage();
+      await storage.open();
+      return storage;
+    }, true);
+    core.register('cache', () => createCache(), true);
+    core.register('sync', (c) => createSyncConnection(c), true);
+
+    await core.getAsync('storage');
+    core.get('cache').set('key', 'value');
+    core.get('sync');
+
+    const report = await core.health();
+    expect(report.status).toBe(HealthStatus.DEGRADED);
+    expect(report.checks.storage).toMatchObject({ status: 'ok', open: true, keys: 0 });
+    expect(report.checks.cache).toMatchObject({ status: 'ok', size: 1 });
+    expect(report.checks.sync).toMatchObject({ status: 'degraded', connection: 'disconnected' });
+    expect(typeof report.checks.storage.duration).toBe('number');
+
+    await core.get('sync').connect();
+    expect((await core.health()).status).toBe(HealthStatus.OK);
+  });
+
+  it('should report failed when a storage is closed', async () => {
+    const core = createCore();
+    core.register('storage', () => new MemoryStorage(), true);
+    core.get('storage');
+
+    const report = await core.health();
+    expect(report.status).toBe('failed');
+    expect(report.checks.storage.open).toBe(false);
+  });
+
+  it('should normalize boolean, string and undefined results', async () => {
+    const core = createCore();
+    core.register('a', () => ({ healthCheck: () => true }), true);
+    core.register('b', () => ({ healthCheck: () => 'degraded' }), true);
+    core.register('c', () => ({ healthCheck: () => {} }), true);
+    core.register('d', () => ({ healthCheck: () => 42 }), true);
+    ['a', 'b', 'c', 'd'].forEach((name) => core.get(name));
+
+    const { checks } = await core.health();
+    expect(checks.a.status).toBe('ok');
+    expect(checks.b.status).toBe('degraded');
+    expect(checks.c.status).toBe('ok');
+    expect(checks.d).toMatchObject({ status: 'failed', error: 'Invalid health check result' });
+  });
+
+  it('should mark throwing checks as failed', async () => {
+    const core = createCore();
+    core.register('db', () => ({
+      healthCheck: async () => {
+        throw new Error('connection refused');
+      }
+    }), true);
+    core.get('db');
+
+    const report = await core.health();
+    expect(report.status).toBe('failed');
+    expect(report.checks.db).toMatchObject({ status: 'failed', error: 'connection refused' });
+  });
+
+  it('should time out slow checks', async () => {
+    const core = createCore();
+    core.register('slow', () => ({
+      healthCheck: () => new Promise(() => {})
+    }), true);
+    core.register('fast', () => ({ healthCheck: () => true }), true);
+    core.get('slow');
+    core.get('fast');
+
+    const report = await core.health({ timeout: 20 });
+    expect(report.status).toBe('failed');
+    expect(report.checks.slow).toMatchObject({ status: 'failed', error: 'Health check timed out after 20ms' });
+    expect(report.checks.fast.status).toBe('ok');
+  });
+
+  it('should skip services without healthCheck and transient instances', async () => {
+    const core = createCore();
+    core.register('plain', () => ({}), true);
+    core.register('transient', () => ({ healthCheck: () => false }));
+    core.get('plain');
+    core.get('transient');
+
+    expect(await core.health()).toEqual({ status: 'ok', checks: {} });
+  });
+
+  it('should report scoped instances from the scope only', async () => {
+    const core = createCore();
+    core.register('session', () => ({ healthCheck: () => 'degraded' }), 'scoped');
+    const scope = core.createScope();
+    scope.get('session');
+
+    expect((await scope.health()).checks.session.status).toBe('degraded');
+    expect(await core.health()).toEqual({ status: 'ok', checks: {} });
+  });
+
+  it('should expose health on the kernel', async () => {
+    const kernel = createKernel({
+      factories: {
+        storage: () => {
+          const storage = new MemoryStorage();
+          storage.start = () => storage.open();
+          return storage;
+        }
+      }
+    });
+
+    await kernel.start();
+    const report = await kernel.health();
+    expect(report.status).toBe('ok');
+    expect(Object.keys(report.checks)).toEqual(['storage']);
+  });
+});
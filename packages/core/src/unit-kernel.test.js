@@ -0,0 +1,220 @@
+import { describe, it, expect } from 'vitest';
+import { createKernel, createEngine } from './index.js';
+import { createStorage } from '../../storage/src/index.js';
+
+describe('Core: Kernel', () => {
+  it('should build services lazily and cache them', () => {
+    let count = 0;
+    const kernel = createKernel({
+      factories: {
+        counter: () => ({ id: ++count })
+      }
+    });
+
+    expect(count).toBe(0);
+    expect(kernel.get('counter')).toBe(kernel.get('counter'));
+    expect(count).toBe(1);
+  });
+
+  it('should expose config and the event bus through ctx', () => {
+    const received = [];
+    const kernel = createKernel({
+      config: { appId: 'demo' },
+      factories: {
+        a: (ctx) => {
+          ctx.on('ping', (payload) => received.push(payload));
+          return { appId: ctx.config.appId };
+        },
+        b: (ctx) => ({ ping: () => ctx.emit('ping', 'hello') })
+      }
+    });
+
+    expect(kernel.get('a').appId).toBe('demo');
+    kernel.get('b').ping();
+    expect(received).toEqual(['hello']);
+  });
+
+  it('should start services in dependency order and stop them in reverse', async () => {
+    const calls = [];
+    const service = (name, deps = []) => (ctx) => {
+      deps.forEach((dep) => ctx.get(dep));
+      return {
+        start: () => calls.push(`start:${name}`),
+        stop: () => calls.push(`stop:${name}`)
+      };
+    };
+
+    const kernel = createKernel({
+      factories: {
+        query: service('query', ['storage', 'schema']),
+        storage: service('storage'),
+        schema: service('schema', ['storage'])
+      }
+    });
+
+    await kernel.start();
+    expect(kernel.isStarted()).toBe(true);
+    expect(calls).toEqual(['start:storage', 'start:schema', 'start:query']);
+
+    calls.length = 0;
+    await kernel.stop();
+    expect(kernel.isStarted()).toBe(false);
+    expect(calls).toEqual(['stop:query', 'stop:schema', 'stop:storage']);
+  });
+
+  it('should ignore repeated start and stop calls', async () => {
+    let starts = 0;
+    let stops = 0;
+    const kernel = createKernel({
+      factories: {
+        svc: () => ({ start: () => starts++, stop: () => stops++ })
+      }
+    });
+
+    await kernel.stop();
+    await kernel.start();
+    await kernel.start();
+    await kernel.stop();
+    await kernel.stop();
+
+    expect(starts).toBe(1);
+    expect(stops).toBe(1);
+  });
+
+  it('should share one start between overlapping start calls', async () => {
+    let starts = 0;
+    const kernel = createKernel({
+      factories: {
+        svc: () => ({
+          start: async () => {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            starts++;
+          }
+        })
+      }
+    });
+
+    const first = kernel.start();
+    const second = kernel.start();
+    await Promise.all([first, second]);
+    expect(starts).toBe(1);
+    expect(kernel.isStarted()).toBe(true);
+  });
+
+  it('should wait for an in-flight start before stopping', async () => {
+    const calls = [];
+    const kernel = createKernel({
+      factories: {
+        svc: () => ({
+          start: async () => {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            calls.push('start');
+          },
+          stop: () => calls.push('stop')
+        })
+      }
+    });
+
+    const starting = kernel.start();
+    await kernel.stop();
+    await starting;
+    expect(calls).toEqual(['start', 'stop']);
+    expect(kernel.isStarted()).toBe(false);
+  });
+
+  it('should stop already started services when a start hook fails', async () => {
+    const calls = [];
+    const kernel = createKernel({
+      factories: {
+        first: () => ({ start: () => calls.push('start:first'), stop: () => calls.push('stop:first') }),
+        second: () => ({ start: () => { throw new Error('boom'); }, stop: () => calls.push('stop:second') })
+      }
+    });
+
+    await expect(kernel.start()).rejects.toThrow('boom');
+    expect(calls).toEqual(['start:first', 'stop:first']);
+    expect(kernel.isStarted()).toBe(false);
+  });
+
+  it('should aggregate errors thrown by stop hooks', async () => {
+    const calls = [];
+    const kernel = createKernel({
+      factories: {
+        a: () => ({ stop: () => calls.push('a') }),
+        b: () => ({ stop: () => { throw new Error('b failed'); } })
+      }
+    });
+
+    await kernel.start();
+    const error = await kernel.stop().catch((e) => e);
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors[0].message).toBe('b failed');
+    expect(calls).toEqual(['a']);
+  });
+
+  it('should emit lifecycle events', async () => {
+    const kernel = createKernel();
+    const events = [];
+    kernel.on('kernel:start', () => events.push('start'));
+    kernel.on('kernel:stop', () => events.push('stop'));
+
+    await kernel.start();
+    await kernel.stop();
+    expect(events).toEqual(['start', 'stop']);
+  });
+});
+
+describe('Core: Engine', () => {
+  it('should wire library factories with their options and expose getters', async () => {
+    const engine = createEngine({
+      config: { appId: 'demo' },
+      storage: { adapter: 'memory' },
+      factories: {
+        storage: (ctx, options) => createStorage(options.adapter),
+        query: (ctx) => ({
+          find: (key) => ctx.get('storage').get(key)
+        })
+      }
+    });
+
+    const storage = engine.storage;
+    expect(storage).toBe(engine.storage);
+    await storage.open();
+    await storage.put('n1', { title: 'hello' });
+
+    expect(await engine.query.find('n1')).toEqual({ title: 'hello' });
+    expect(engine.config.appId).toBe('demo');
+  });
+
+  it('should call library start/stop hooks through the engine', async () => {
+    const engine = createEngine({
+      factories: {
+        storage: () => {
+          const storage = createStorage('memory');
+          storage.start = () => storage.open();
+          storage.stop = () => storage.close();
+          return storage;
+        }
+      }
+    });
+
+    await engine.start();
+    expect(engine.storage.isOpen).toBe(true);
+    await engine.stop();
+    expect(engine.storage.isOpen).toBe(false);
+  });
+
+  it('should return the engine from chained calls', () => {
+    const engine = createEngine({ factories: { storage: () => createStorage('memory') } });
+    const plugin = { name: 'noop', register() {} };
+
+    const chained = engine.use(plugin).decorate('storage', (storage) => storage);
+    expect(chained).toBe(engine);
+    expect(chained.storage).toBe(engine.get('storage'));
+  });
+
+  it('should throw when accessing a library without a factory', () => {
+    const engine = createEngine();
+    expect(() => engine.sync).toThrow("Service 'sync' not registered");
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, createKernel } from './index.js';
+import { MemoryStorage } from '../../storage/src/index.js';
+
+function plugin(name, dependencies = [], extra = {}) {
+  return {
+    name,
+    dependencies,
+    register(core) {
+      core.register(name, () => ({ name }), true);
+    },
+    ...extra
+  };
+}
+
+describe('Core: Plugins', () => {
+  it('should install a plugin and register its services', async () => {
+    const core = createCore();
+    const storagePlugin = {
+      name: 'memory-storage',
+      register(c) {
+        c.register('storage', async () => {
+          const storage = new MemoryStorage();
+          await storage.open();
+          return storage;
+        }, true);
+      }
+    };
+
+    expect(core.use(storagePlugin)).toBe(core);
+    const storage = await core.getAsync('storage');
+    expect(storage.isOpen).toBe(true);
+    expect(core.plugins()).toEqual([storagePlugin]);
+  });
+
+  it('should reject duplicate plugins', () => {
+    const core = createCore();
+    core.use(plugin('metrics'));
+
+    expect(() => core.use(plugin('metrics'))).toThrow("Plugin 'metrics' is already installed");
+    expect(() => createCore().use([plugin('a'), plugin('a')])).toThrow("Plugin 'a' is already installed");
+  });
+
+  it('should validate the plugin shape', () => {
+    const core = createCore();
+    expect(() => core.use({})).toThrow('Plugin must have a name');
+    expect(() => core.use({ name: 'x' })).toThrow("Plugin 'x' must provide a register function");
+    expect(() => core.use({ name: 'x', register() {}, dependencies: 'y' })).toThrow("Plugin 'x' dependencies must be an array");
+  });
+
+  it('should order a batch by declared dependencies', () => {
+    const core = createCore();
+    core.use([
+      plugin('metrics', ['storage', 'logger']),
+      plugin('storage', ['logger']),
+      plugin('logger')
+    ]);
+
+    expect(core.plugins().map((p) => p.name)).toEqual(['logger', 'storage', 'metrics']);
+  });
+
+  it('should accept dependencies installed earlier', () => {
+    const core = createCore();
+    core.use(plugin('storage'));
+    core.use(plugin('sqlite', ['storage']));
+
+    expect(core.plugins().map((p) => p.name)).toEqual(['storage', 'sqlite']);
+  });
+
+  it('should reject missing dependencies without installing anything from the batch', () => {
+    const core = createCore();
+    expect(() => core.use([plugin('logger'), plugin('metrics', ['exporter'])]))
+      .toThrow("Plugin 'metrics' depends on 'exporter' which is not installed");
+    expect(core.plugins()).toEqual([]);
+  });
+
+  it('should reject circular plugin dependencies', () => {
+    const core = createCore();
+    expect(() => core.use([plugin('a', ['b']), plugin('b', ['a'])]))
+      .toThrow('Circular plugin dependency: a -> b -> a');
+  });
+
+  it('should see plugins installed in the parent from a scope', () => {
+    const core = createCore();
+    core.use(plugin('storage'));
+    const scope = core.createScope();
+
+    scope.use(plugin('request-logger', ['storage']));
+    expect(scope.plugins().map((p) => p.name)).toEqual(['request-logger']);
+    expect(core.plugins().map((p) => p.name)).toEqual(['storage']);
+  });
+
+  it('should call plugin dispose hooks in reverse order before disposing services', async () => {
+    const core = createCore();
+    const calls = [];
+    core.use([
+      plugin('storage', [], { dispose: () => calls.push('plugin:storage') }),
+      plugin('metrics', ['storage'], { dispose: () => calls.push('plugin:metrics') })
+    ]);
+    core.register('svc', () => ({ dispose: () => calls.push('svc') }), true);
+    core.get('svc');
+
+    await core.dispose();
+    expect(calls).toEqual(['plugin:metrics', 'plugin:storage', 'svc']);
+  });
+
+  it('should uninstall plugins on clear', async () => {
+    const core = createCore();
+    core.use(plugin('storage'));
+    core.clear();
+
+    expect(core.plugins()).toEqual([]);
+    expect(() => core.use(plugin('storage'))).not.toThrow();
+  });
+});
+
+describe('Kernel: Plugins', () => {
+  it('should start plugins after services and stop them first', async () => {
+    const calls = [];
+    const exporter = {
+      name: 'metrics-exporter',
+      register(core) {
+        core.register('metrics', () => ({ count: 0 }), true);
+      },
+      start(ctx) {
+        calls.push(`start:plugin:${ctx.config.appId}`);
+      },
+      stop() {
+        calls.push('stop:plugin');
+      }
+    };
+
+    const kernel = createKernel({
+      config: { appId: 'demo' },
+      plugins: [exporter],
+      factories: {
+        storage: () => ({
+          start: () => calls.push('start:storage'),
+          stop: () => calls.push('stop:storage')
+        })
+      }
+    });
+
+    expect(kernel.plugins()).toEqual([exporter]);
+    expect(kernel.get('metrics').count).toBe(0);
+
+    await kernel.start();
+    await kernel.stop();
+    expect(calls).toEqual(['start:storage', 'start:plugin:demo', 'stop:plugin', 'stop:storage']);
+  });
+
+  it('should start and stop singletons registered by plugins', async () => {
+    const calls = [];
+    const service = (name) => () => ({ start: () => calls.push(`start:${name}`), stop: () => calls.push(`stop:${name}`) });
+    const adapter = {
+      name: 'sqlite-storage',
+      register(core) {
+        core.register('sqlite', service('sqlite'), true);
+        core.register('lazy', service('lazy'), true);
+        core.register('transient', service('transient'));
+      }
+    };
+
+    const kernel = createKernel({ plugins: [adapter], factories: { query: service('query') } });
+    const sqlite = kernel.get('sqlite');
+
+    await kernel.start();
+    expect(calls).toEqual(['start:sqlite', 'start:query', 'start:lazy']);
+    expect(kernel.get('sqlite')).toBe(sqlite);
+
+    await kernel.stop();
+    expect(calls.slice(3)).toEqual(['stop:lazy', 'stop:query', 'stop:sqlite']);
+  });
+
+  it('should only start the current instance of a re-registered service', async () => {
+    const calls = [];
+    const kernel = createKernel();
+    kernel.use({
+      name: 'p',
+      register(core) {
+        core.register('svc', () => ({ start: () => calls.push('old') }), true);
+      }
+    });
+    kernel.get('svc');
+    kernel.use({
+      name: 'q',
+      register(core) {
+        core.register('svc', () => ({ start: () => calls.push('new') }), true);
+      }
+    });
+
+    await kernel.start();
+    expect(calls).toEqual(['new']);
+  });
+
+  it('should install plugins through kernel.use', async () => {
+    const kernel = createKernel();
+    let started = false;
+    kernel.use({ name: 'p', register() {}, start: () => { started = true; } });
+
+    await kernel.start();
+    expect(started).toBe(true);
+  });
+});
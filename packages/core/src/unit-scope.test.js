@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import { createCore, Lifetime } from './index.js';
+
+describe('Core: Scoped Containers', () => {
+  it('should inherit parent registrations', () => {
+    const core = createCore();
+    core.register('config', () => ({ appId: 'demo' }), true);
+
+    const scope = core.createScope();
+    expect(scope.has('config')).toBe(true);
+    expect(scope.get('config')).toBe(core.get('config'));
+    expect(scope.list()).toEqual(['config']);
+  });
+
+  it('should share parent singletons with every scope', () => {
+    const core = createCore();
+    let count = 0;
+    core.register('storage', () => ({ id: ++count }), true);
+
+    const a = core.createScope();
+    const b = core.createScope();
+    expect(a.get('storage')).toBe(b.get('storage'));
+    expect(count).toBe(1);
+  });
+
+  it('should cache scoped services once per scope', () => {
+    const core = createCore();
+    let count = 0;
+    core.register('principal', () => ({ id: ++count }), 'scoped');
+
+    const a = core.createScope();
+    const b = core.createScope();
+
+    expect(a.get('principal')).toBe(a.get('principal'));
+    expect(b.get('principal')).toBe(b.get('principal'));
+    expect(a.get('principal')).not.toBe(b.get('principal'));
+    expect(count).toBe(2);
+  });
+
+  it('should treat the root container as its own scope', () => {
+    const core = createCore();
+    core.register('principal', () => ({}), Lifetime.SCOPED);
+
+    const scope = core.createScope();
+    expect(core.get('principal')).toBe(core.get('principal'));
+    expect(scope.get('principal')).not.toBe(core.get('principal'));
+  });
+
+  it('should let scoped services depend on other scoped services of the same scope', () => {
+    const core = createCore();
+    core.register('request', () => ({ user: 'alice' }), 'scoped');
+    core.register('principal', (c) => ({ name: c.get('request').user }), 'scoped');
+
+    const scope = core.createScope();
+    expect(scope.get('principal').name).toBe('alice');
+  });
+
+  it('should let a scope override registrations without affecting the parent', () => {
+    const core = createCore();
+    core.register('principal', () => ({ name: 'anonymous' }), true);
+    core.register('greeter', (c) => ({ greet: () => `hi ${c.get('principal').name}` }));
+
+    const scope = core.createScope();
+    scope.register('principal', () => ({ name: 'alice' }), 'scoped');
+
+    expect(scope.get('greeter').greet()).toBe('hi alice');
+    expect(core.get('greeter').greet()).toBe('hi anonymous');
+    expect(core.get('principal').name).toBe('anonymous');
+  });
+
+  it('should build parent singletons with the parent context', () => {
+    const core = createCore();
+    core.register('principal', () => ({ name: 'anonymous' }), 'scoped');
+    core.register('audit', (c) => ({ principal: c.get('principal') }), true);
+
+    const scope = core.createScope();
+    scope.register('principal', () => ({ name: 'alice' }), 'scoped');
+
+    expect(scope.get('audit').principal.name).toBe('anonymous');
+  });
+
+  it('should support nested scopes', () => {
+    const core = createCore();
+    core.register('config', () => ({}), true);
+    const outer = core.createScope();
+    outer.register('tenant', () => ({ id: 't1' }), true);
+    const inner = outer.createScope();
+
+    expect(inner.get('config')).toBe(core.get('config'));
+    expect(inner.get('tenant')).toBe(outer.get('tenant'));
+    expect(core.has('tenant')).toBe(false);
+  });
+
+  it('should resolve async scoped services once per scope', async () => {
+    const core = createCore();
+    let count = 0;
+    core.register('session', async () => ({ id: ++count }), 'scoped');
+
+    const scope = core.createScope();
+    const [a, b] = await Promise.all([scope.getAsync('session'), scope.getAsync('session')]);
+    expect(a).toBe(b);
+    expect(count).toBe(1);
+  });
+
+  it('should reject unknown lifetimes', () => {
+    const core = createCore();
+    expect(() => core.register('x', () => ({}), 'forever')).toThrow("Unknown service lifetime 'forever'");
+  });
+});
+
+describe('Core: Scope Disposal', () => {
+  it('should dispose instances created by the scope in reverse order', async () => {
+    const core = createCore();
+    const disposed = [];
+    const disposable = (name) => () => ({ dispose: () => disposed.push(name) });
+    core.register('request', disposable('request'), 'scoped');
+    core.register('principal', (c) => {
+      c.get('request');
+      return { dispose: () => disposed.push('principal') };
+    }, 'scoped');
+
+    const scope = core.createScope();
+    scope.get('principal');
+    await scope.dispose();
+
+    expect(disposed).toEqual(['principal', 'request']);
+  });
+
+  it('should not dispose parent singletons', async () => {
+    const core = createCore();
+    let disposed = false;
+    core.register('storage', () => ({ dispose: () => { disposed = true; } }), true);
+    core.register('principal', () => ({}), 'scoped');
+
+    const scope = core.createScope();
+    scope.get('storage');
+    scope.get('principal');
+    await scope.dispose();
+
+    expect(disposed).toBe(false);
+    expect(core.get('storage')).toBeDefined();
+  });
+
+  it('should reject lookups after the scope is disposed', async () => {
+    const core = createCore();
+    core.register('principal', () => ({}), 'scoped');
+
+    const scope = core.createScope();
+    await scope.dispose();
+    await scope.dispose();
+
+    expect(() => scope.get('principal')).toThrow('Container has been disposed');
+    expect(core.get('principal')).toBeDefined();
+  });
+
+  it('should aggregate errors thrown by dispose hooks', async () => {
+    const core = createCore();
+    const disposed = [];
+    core.register('a', () => ({ dispose: () => disposed.push('a') }), 'scoped');
+    core.register('b', () => ({ dispose: () => { throw new Error('b failed'); } }), 'scoped');
+
+    const scope = core.createScope();
+    scope.get('a');
+    scope.get('b');
+
+    const error = await scope.dispose().catch((e) => e);
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors.map((e) => e.message)).toEqual(['b failed']);
+    expect(disposed).toEqual(['a']);
+  });
+});
@@ -48,64 +48,320 @@ export function validate(schemaName, data) {
     throw new Error(`Schema '${schemaName}' not found`);
   }
   
-  return validateData(data, schema);
+  // `root` is the schema that local '#/...' references resolve against; `active` tracks
+  // the $ref targets being applied to each value so that cycles can be detected
+  return validateData(data, schema, { root: schema, active: new Map() });
 }
 
-function validateData(data, schema) {
+// JSON Schema (draft 2020-12) keywords understood by validateData; any other keyword is ignored
+export const SUPPORTED_KEYWORDS = Object.freeze([
+  '$ref', '$defs', 'type', 'enum', 'const',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'properties', 'required', 'additionalProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else'
+]);
+
+// Values accepted by the `format` keyword; unknown formats are treated as annotations
+export const SUPPORTED_FORMATS = Object.freeze(['email', 'uri', 'date-time', 'uuid']);
+
+const formats = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => /^[a-z][a-z\d+.-]*:\S+$/i.test(value) && URL.canParse(value),
+  'date-time': isDateTime,
+  uuid: (value) => /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(value)
+};
+
+function validateData(data, schema, context) {
+  // Boolean schemas: true accepts everything, false rejects everything
+  if (schema === true) {
+    return { valid: true, errors: [] };
+  }
+  if (schema === false) {
+    return { valid: false, errors: ['Value is not allowed'] };
+  }
+
+  const errors = [
+    ...validateRef(data, schema, context),
+    ...validateType(data, schema),
+    ...validateValue(data, schema),
+    ...validateCombinators(data, schema, context)
+  ];
+
+  if (typeof data === 'number') {
+    errors.push(...validateNumber(data, schema));
+  } else if (typeof data === 'string') {
+    errors.push(...validateString(data, schema));
+  } else if (Array.isArray(data)) {
+    errors.push(...validateArray(data, schema, context));
+  } else if (typeof data === 'object' && data !== null) {
+    errors.push(...validateObject(data, schema, context));
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+function isValid(data, schema, context) {
+  return validateData(data, schema, context).valid;
+}
+
+// $ref applies the referenced schema alongside any sibling keywords
+function validateRef(data, schema, context) {
+  if (schema.$ref === undefined) {
+    return [];
+  }
+
+  const { root, target } = resolveRef(schema.$ref, context.root);
+
+  // Re-entering a target for the same value means the references loop without descending into the data
+  const active = context.active.get(target) || [];
+  if (active.includes(data)) {
+    throw new Error(`Circular $ref '${schema.$ref}' does not descend into the data`);
+  }
+
+  active.push(data);
+  context.active.set(target, active);
+  try {
+    return validateData(data, target, { ...context, root }).errors;
+  } finally {
+    active.pop();
+  }
+}
+
+// Resolves 'name', 'name#/pointer' or '#/pointer' against the registry or the current root schema
+function resolveRef(ref, currentRoot) {
+  if (typeof ref !== 'string') {
+    throw new Error('$ref must be a string');
+  }
+
+  const hashIndex = ref.indexOf('#');
+  const name = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+  const root = name ? schemas.get(name) : currentRoot;
+  if (!root) {
+    throw new Error(`Cannot resolve $ref '${ref}': schema '${name}' not found`);
+  }
+
+  if (pointer && !pointer.startsWith('/')) {
+    throw new Error(`Cannot resolve $ref '${ref}': only JSON Pointer fragments are supported`);
+  }
+
+  let target = root;
+  for (const token of pointer ? pointer.slice(1).split('/') : []) {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (target === null || typeof target !== 'object' || !Object.hasOwn(target, key)) {
+      throw new Error(`Cannot resolve $ref '${ref}': '${key}' not found`);
+    }
+    target = target[key];
+  }
+
+  if (typeof target !== 'boolean' && (target === null || typeof target !== 'object')) {
+    throw new Error(`Cannot resolve $ref '${ref}': target is not a schema`);
+  }
+
+  return { root, target };
+}
+
+function validateType(data, schema) {
+  // Absent (undefined) values pass the type check; null only matches type 'null'
+  if (!schema.type || data === undefined) {
+    return [];
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.some((type) => matchesType(data, type))) {
+    return [];
+  }
+  return [`Expected type '${types.join("' or '")}', but got '${typeOf(data)}'`];
+}
+
+function typeOf(data) {
+  if (data === null) return 'null';
+  return Array.isArray(data) ? 'array' : typeof data;
+}
+
+function matchesType(data, type) {
+  if (type === 'integer') return Number.isInteger(data);
+  return typeOf(data) === type;
+}
+
+function validateValue(data, schema) {
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some((option) => deepEqual(option, data))) {
+    errors.push(`Value must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if ('const' in schema && !deepEqual(schema.const, data)) {
+    errors.push(`Value must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  return errors;
+}
+
+function validateNumber(data, schema) {
+  const errors = [];
+
+  if (schema.minimum !== undefined && data < schema.minimum) {
+    errors.push(`Value must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && data > schema.maximum) {
+    errors.push(`Value must be <= ${schema.maximum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+    errors.push(`Value must be > ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+    errors.push(`Value must be < ${schema.exclusiveMaximum}`);
+  }
+
+  return errors;
+}
+
+function validateString(data, schema) {
+  const errors = [];
+  // Lengths are counted in code points, not UTF-16 units
+  const length = [...data].length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    errors.push(`String must be at least ${schema.minLength} characters long`);
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    errors.push(`String must be at most ${schema.maxLength} characters long`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(data)) {
+    errors.push(`String must match pattern '${schema.pattern}'`);
+  }
+  if (schema.format && formats[schema.format] && !formats[schema.format](data)) {
+    errors.push(`String must be a valid ${schema.format}`);
+  }
+
+  return errors;
+}
+
+function validateObject(data, schema, context) {
   const errors = [];
+  const properties = schema.properties || {};
   
-  // Check type
-  if (schema.type) {
-    // Allow null and undefined values to pass type check (valid for non-required fields)
-    if (data !== null && data !== undefined) {
-      const dataType = Array.isArray(data) ? 'array' : typeof data;
-      if (dataType !== schema.type) {
-        errors.push(`Expected type '${schema.type}', but got '${dataType}'`);
+  // Check required properties
+  if (schema.required) {
+    for (const requiredProp of schema.required) {
+      if (!(requiredProp in data)) {
+        errors.push(`Required property '${requiredProp}' is missing`);
       }
     }
   }
   
-  // Check object properties
-  if (schema.type === 'object' && schema.properties && typeof data === 'object' && data !== null) {
-    const properties = schema.properties;
-    
-    // Check required properties
-    if (schema.required) {
-      for (const requiredProp of schema.required) {
-        if (!(requiredProp in data)) {
-          errors.push(`Required property '${requiredProp}' is missing`);
-        }
-      }
+  // Validate each property
+  for (const [propName, propSchema] of Object.entries(properties)) {
+    if (propName in data) {
+      const propValidation = validateData(data[propName], propSchema, context);
+      errors.push(...propValidation.errors.map(err => `${propName}: ${err}`));
     }
-    
-    // Validate each property
-    for (const [propName, propSchema] of Object.entries(properties)) {
-      if (propName in data) {
-        const propValidation = validateData(data[propName], propSchema);
+  }
+
+  // Check properties not listed in `properties`
+  if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+    for (const propName of Object.keys(data)) {
+      if (Object.hasOwn(properties, propName)) continue;
+      if (schema.additionalProperties === false) {
+        errors.push(`Additional property '${propName}' is not allowed`);
+      } else {
+        const propValidation = validateData(data[propName], schema.additionalProperties, context);
         errors.push(...propValidation.errors.map(err => `${propName}: ${err}`));
       }
     }
   }
-  
-  // Check array items
-  if (schema.type === 'array' && Array.isArray(data)) {
-    if (schema.items) {
-      data.forEach((item, index) => {
-        const itemValidation = validateData(item, schema.items);
-        errors.push(...itemValidation.errors.map(err => `[${index}]: ${err}`));
-      });
+
+  return errors;
+}
+
+function validateArray(data, schema, context) {
+  const errors = [];
+
+  if (schema.items !== undefined) {
+    data.forEach((item, index) => {
+      const itemValidation = validateData(item, schema.items, context);
+      errors.push(...itemValidation.errors.map(err => `[${index}]: ${err}`));
+    });
+  }
+
+  if (schema.minItems !== undefined && data.length < schema.minItems) {
+    errors.push(`Array must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+    errors.push(`Array must have at most ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems && data.some((item, index) => data.findIndex(other => deepEqual(item, other)) !== index)) {
+    errors.push('Array items must be unique');
+  }
+
+  return errors;
+}
+
+function validateCombinators(data, schema, context) {
+  const errors = [];
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateData(data, subschema, context).errors);
     }
   }
-  
-  // Check enum values
-  if (schema.enum && !schema.enum.includes(data)) {
-    errors.push(`Value must be one of: ${schema.enum.join(', ')}`);
+
+  if (schema.anyOf && !schema.anyOf.some((subschema) => isValid(data, subschema, context))) {
+    errors.push('Value must match at least one schema in anyOf');
   }
-  
-  return {
-    valid: errors.length === 0,
-    errors
-  };
+
+  if (schema.oneOf) {
+    const matched = schema.oneOf.filter((subschema) => isValid(data, subschema, context)).length;
+    if (matched !== 1) {
+      errors.push(`Value must match exactly one schema in oneOf, but matched ${matched}`);
+    }
+  }
+
+  if (schema.not !== undefined && isValid(data, schema.not, context)) {
+    errors.push('Value must not match the schema in not');
+  }
+
+  // Conditional: `then` applies when `if` matches, `else` otherwise
+  if (schema.if !== undefined) {
+    const branch = isValid(data, schema.if, context) ? schema.then : schema.else;
+    if (branch !== undefined) {
+      errors.push(...validateData(data, branch, context).errors);
+    }
+  }
+
+  return errors;
+}
+
+// JSON equality as used by enum, const and uniqueItems
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length &&
+    keysA.every((key) => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+// RFC 3339 date-time, e.g. 2024-01-31T12:00:00.5Z or 2024-01-31T12:00:00+08:00
+function isDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day, hour, minute, second, , , offsetHour, offsetMinute] = match.map(Number);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth &&
+    hour <= 23 && minute <= 59 && second <= 60 &&
+    // The offset groups are NaN for a 'Z' suffix
+    (Number.isNaN(offsetHour) || (offsetHour <= 23 && offsetMinute <= 59));
 }
 
 export function registerMigration(schemaName, fromVersion, toVersion, migrationFn) {
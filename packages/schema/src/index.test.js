@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { registerSchema, getSchema, getAllSchemas, hasSchema, clearAllSchemas, validate, registerMigration, migrate, getMigrationHistory } from './index.js';
+import { registerSchema, getSchema, getAllSchemas, hasSchema, clearAllSchemas, validate, registerMigration, migrate, getMigrationHistory, SUPPORTED_KEYWORDS, SUPPORTED_FORMATS } from './index.js';
 
 describe('Schema Registry', () => {
   beforeEach(() => {
@@ -426,7 +426,7 @@ describe('Schema Migration', () => {
       type: 'object',
       properties: {
         name: { type: 'string' },
-        age: { type: 'number' },
+        age: { type: ['number', 'null'] },
         optional: { type: 'string' }
       },
       required: ['name']
@@ -434,9 +434,9 @@ describe('Schema Migration', () => {
     
     registerSchema('test', schema);
     
-    const data = { name: 'John', age: null, optional: null };
-    const result = validate('test', data);
-    expect(result.valid).toBe(true);
+    expect(validate('test', { name: 'John', age: null }).valid).toBe(true);
+    expect(validate('test', { name: 'John', optional: null }).errors)
+      .toEqual(["optional: Expected type 'string', but got 'null'"]);
   });
 
   it('should handle undefined values in validation', () => {
@@ -478,4 +478,263 @@ describe('Schema Migration', () => {
     const result = validate('test', []);
     expect(result.valid).toBe(true);
   });
-});
\ No newline at end of file
+});
+describe('JSON Schema Keywords', () => {
+  beforeEach(() => {
+    clearAllSchemas();
+  });
+
+  const check = (schema, data) => {
+    registerSchema('test', schema);
+    return validate('test', data);
+  };
+
+  it('should publish the supported keywords and formats', () => {
+    expect(SUPPORTED_KEYWORDS).toContain('additionalProperties');
+    expect(SUPPORTED_KEYWORDS).toContain('if');
+    expect(SUPPORTED_FORMATS).toEqual(['email', 'uri', 'date-time', 'uuid']);
+    expect(Object.isFrozen(SUPPORTED_KEYWORDS)).toBe(true);
+  });
+
+  it('should validate integer, null and multiple types', () => {
+    expect(check({ type: 'integer' }, 3).valid).toBe(true);
+    expect(check({ type: 'integer' }, 3.5).errors).toEqual(["Expected type 'integer', but got 'number'"]);
+    expect(check({ type: 'number' }, 3).valid).toBe(true);
+    expect(check({ type: 'null' }, null).valid).toBe(true);
+    expect(check({ type: 'null' }, 0).errors).toEqual(["Expected type 'null', but got 'number'"]);
+    expect(check({ type: 'integer' }, null).errors).toEqual(["Expected type 'integer', but got 'null'"]);
+    expect(check({ type: 'object' }, null).errors).toEqual(["Expected type 'object', but got 'null'"]);
+    expect(check({ type: ['string', 'integer'] }, 1).valid).toBe(true);
+    expect(check({ type: ['string', 'integer'] }, true).errors).toEqual(["Expected type 'string' or 'integer', but got 'boolean'"]);
+  });
+
+  it('should validate numeric ranges', () => {
+    const schema = { type: 'number', minimum: 0, maximum: 10, exclusiveMaximum: 10 };
+    expect(check(schema, 0).valid).toBe(true);
+    expect(check(schema, -1).errors).toEqual(['Value must be >= 0']);
+    expect(check(schema, 10).errors).toEqual(['Value must be < 10']);
+    expect(check(schema, 11).errors).toEqual(['Value must be <= 10', 'Value must be < 10']);
+    expect(check({ exclusiveMinimum: 0 }, 0).errors).toEqual(['Value must be > 0']);
+  });
+
+  it('should validate string length and pattern', () => {
+    const schema = { type: 'string', minLength: 2, maxLength: 3, pattern: '^[a-z😀]+$' };
+    expect(check(schema, 'ab').valid).toBe(true);
+    expect(check(schema, '😀😀').valid).toBe(true);
+    expect(check(schema, 'a').errors).toEqual(['String must be at least 2 characters long']);
+    expect(check(schema, 'abcd').errors).toEqual(['String must be at most 3 characters long']);
+    expect(check(schema, 'AB').errors).toEqual(["String must match pattern '^[a-z😀]+$'"]);
+  });
+
+  it('should validate string formats', () => {
+    const valid = {
+      email: 'john@example.com',
+      uri: 'https://example.com/a?b=c',
+      'date-time': '2024-02-29T23:59:59.123+08:00',
+      uuid: '123e4567-e89b-12d3-a456-426614174000'
+    };
+    const invalid = {
+      email: 'john@example',
+      uri: '/relative/path',
+      'date-time': '2023-02-29T00:00:00Z',
+      uuid: '123e4567-e89b-12d3-a456'
+    };
+
+    for (const format of SUPPORTED_FORMATS) {
+      expect(check({ type: 'string', format }, valid[format]).valid).toBe(true);
+      expect(check({ type: 'string', format }, invalid[format]).errors).toEqual([`String must be a valid ${format}`]);
+    }
+    expect(check({ format: 'date-time' }, '2024-01-01 12:00:00').valid).toBe(false);
+    expect(check({ format: 'hostname' }, 'anything').valid).toBe(true);
+  });
+
+  it('should validate additional properties', () => {
+    const closed = { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false };
+    expect(check(closed, { name: 'John' }).valid).toBe(true);
+    expect(check(closed, { name: 'John', admin: true }).errors).toEqual(["Additional property 'admin' is not allowed"]);
+
+    const typed = { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: { type: 'number' } };
+    expect(check(typed, { name: 'John', age: 30 }).valid).toBe(true);
+    expect(check(typed, { name: 'John', age: '30' }).errors).toEqual(["age: Expected type 'number', but got 'string'"]);
+  });
+
+  it('should validate array size and uniqueness', () => {
+    const schema = { type: 'array', minItems: 1, maxItems: 3, uniqueItems: true };
+    expect(check(schema, [1, { a: 1 }, { a: 2 }]).valid).toBe(true);
+    expect(check(schema, []).errors).toEqual(['Array must have at least 1 items']);
+    expect(check(schema, [1, 2, 3, 4]).errors).toEqual(['Array must have at most 3 items']);
+    expect(check(schema, [{ a: 1, b: [2] }, { b: [2], a: 1 }]).errors).toEqual(['Array items must be unique']);
+  });
+
+  it('should compare const and enum values structurally', () => {
+    expect(check({ const: { kind: 'user' } }, { kind: 'user' }).valid).toBe(true);
+    expect(check({ const: { kind: 'user' } }, { kind: 'admin' }).errors).toEqual(['Value must be equal to {"kind":"user"}']);
+    expect(check({ const: null }, null).valid).toBe(true);
+    expect(check({ enum: [[1, 2], 'a'] }, [1, 2]).valid).toBe(true);
+    expect(check({ enum: [1, 2] }, '1').errors).toEqual(['Value must be one of: 1, 2']);
+  });
+
+  it('should validate allOf, anyOf, oneOf and not', () => {
+    expect(check({ allOf: [{ type: 'integer' }, { minimum: 1 }] }, 0).errors).toEqual(['Value must be >= 1']);
+    expect(check({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, 1).valid).toBe(true);
+    expect(check({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, 1.5).errors)
+      .toEqual(['Value must match at least one schema in anyOf']);
+
+    const oneOf = { oneOf: [{ type: 'integer' }, { minimum: 10 }] };
+    expect(check(oneOf, 1).valid).toBe(true);
+    expect(check(oneOf, 10.5).valid).toBe(true);
+    expect(check(oneOf, 10).errors).toEqual(['Value must match exactly one schema in oneOf, but matched 2']);
+    expect(check(oneOf, 1.5).errors).toEqual(['Value must match exactly one schema in oneOf, but matched 0']);
+
+    expect(check({ not: { type: 'string' } }, 'a').errors).toEqual(['Value must not match the schema in not']);
+    expect(check({ not: { type: 'string' } }, 1).valid).toBe(true);
+  });
+
+  it('should treat null as its own type in combinators', () => {
+    const nullable = { oneOf: [{ type: 'string' }, { type: 'null' }] };
+    expect(check(nullable, null).valid).toBe(true);
+    expect(check(nullable, 'a').valid).toBe(true);
+    expect(check(nullable, 1).errors).toEqual(['Value must match exactly one schema in oneOf, but matched 0']);
+
+    expect(check({ anyOf: [{ type: 'integer' }, { type: 'null' }] }, null).valid).toBe(true);
+    expect(check({ anyOf: [{ type: 'integer' }, { type: 'string' }] }, null).errors)
+      .toEqual(['Value must match at least one schema in anyOf']);
+
+    expect(check({ not: { type: 'string' } }, null).valid).toBe(true);
+    expect(check({ not: { type: 'null' } }, null).errors).toEqual(['Value must not match the schema in not']);
+  });
+
+  it('should apply then or else depending on if', () => {
+    const schema = {
+      type: 'object',
+      if: { properties: { country: { const: 'CN' } } },
+      then: { properties: { postalCode: { pattern: '^\\d{6}$' } } },
+      else: { required: ['state'] }
+    };
+
+    expect(check(schema, { country: 'CN', postalCode: '100000' }).valid).toBe(true);
+    expect(check(schema, { country: 'CN', postalCode: '1000' }).errors).toEqual(["postalCode: String must match pattern '^\\d{6}$'"]);
+    expect(check(schema, { country: 'US', state: 'CA' }).valid).toBe(true);
+    expect(check(schema, { country: 'US' }).errors).toEqual(["Required property 'state' is missing"]);
+  });
+
+  it('should accept boolean subschemas', () => {
+    expect(check({ type: 'object', properties: { any: true, never: false } }, { any: 1 }).valid).toBe(true);
+    expect(check({ type: 'object', properties: { any: true, never: false } }, { never: 1 }).errors).toEqual(['never: Value is not allowed']);
+    expect(check({ type: 'array', items: false }, [1]).errors).toEqual(['[0]: Value is not allowed']);
+  });
+
+  it('should apply keywords only to values of the matching type', () => {
+    const schema = { minimum: 1, minLength: 1, minItems: 1, required: ['a'] };
+    expect(check(schema, true).valid).toBe(true);
+    expect(check(schema, null).valid).toBe(true);
+    expect(check(schema, {}).errors).toEqual(["Required property 'a' is missing"]);
+  });
+});
+
+describe('Schema References', () => {
+  beforeEach(() => {
+    clearAllSchemas();
+  });
+
+  const address = {
+    type: 'object',
+    properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } },
+    required: ['city']
+  };
+
+  it('should resolve references to registered schemas in any registration order', () => {
+    registerSchema('user', {
+      type: 'object',
+      properties: { name: { type: 'string' }, home: { $ref: 'address' } }
+    });
+    registerSchema('address', address);
+
+    expect(validate('user', { name: 'John', home: { city: 'Paris' } }).valid).toBe(true);
+    expect(validate('user', { name: 'John', home: { zip: 'x' } }).errors).toEqual([
+      "home: Required property 'city' is missing",
+      "home: zip: String must match pattern '^\\d{5}$'"
+    ]);
+  });
+
+  it('should resolve local $defs and escaped pointers', () => {
+    registerSchema('order', {
+      type: 'object',
+      properties: {
+        shipping: { $ref: '#/$defs/address' },
+        billing: { $ref: '#/$defs/billing~1legacy' }
+      },
+      $defs: { address, 'billing/legacy': { type: 'string' } }
+    });
+
+    expect(validate('order', { shipping: { city: 'Paris' }, billing: 'same' }).valid).toBe(true);
+    expect(validate('order', { shipping: {}, billing: 1 }).errors).toEqual([
+      "shipping: Required property 'city' is missing",
+      "billing: Expected type 'string', but got 'number'"
+    ]);
+  });
+
+  it('should resolve pointers into other schemas against that schema', () => {
+    registerSchema('common', {
+      $defs: {
+        contact: { type: 'object', properties: { address: { $ref: '#/$defs/address' } } },
+        address
+      }
+    });
+    registerSchema('customer', { type: 'object', properties: { contact: { $ref: 'common#/$defs/contact' } } });
+
+    expect(validate('customer', { contact: { address: { city: 'Paris' } } }).valid).toBe(true);
+    expect(validate('customer', { contact: { address: {} } }).errors)
+      .toEqual(["contact: address: Required property 'city' is missing"]);
+  });
+
+  it('should validate recursive structures', () => {
+    registerSchema('tree', {
+      $ref: '#/$defs/node',
+      $defs: {
+        node: {
+          type: 'object',
+          properties: { value: { type: 'number' }, children: { type: 'array', items: { $ref: '#/$defs/node' } } },
+          required: ['value']
+        }
+      }
+    });
+    registerSchema('category', {
+      type: 'object',
+      properties: { name: { type: 'string' }, parent: { $ref: 'category' } }
+    });
+
+    const tree = { value: 1, children: [{ value: 2, children: [{ value: 3, children: [] }] }, { value: 4 }] };
+    expect(validate('tree', tree).valid).toBe(true);
+    tree.children[0].children[0].value = 'three';
+    expect(validate('tree', tree).errors).toEqual(["children: [0]: children: [0]: value: Expected type 'number', but got 'string'"]);
+
+    expect(validate('category', { name: 'a', parent: { name: 'b', parent: { name: 'c' } } }).valid).toBe(true);
+    expect(validate('category', { name: 'a', parent: { name: 1 } }).valid).toBe(false);
+  });
+
+  it('should apply sibling keywords together with $ref', () => {
+    registerSchema('address', address);
+    registerSchema('shipping', { $ref: 'address', required: ['zip'] });
+
+    expect(validate('shipping', { city: 'Paris', zip: '75001' }).valid).toBe(true);
+    expect(validate('shipping', { city: 'Paris' }).errors).toEqual(["Required property 'zip' is missing"]);
+  });
+
+  it('should throw for unresolvable references', () => {
+    registerSchema('broken', { properties: { a: { $ref: 'missing' }, b: { $ref: '#/$defs/missing' }, c: { $ref: '#anchor' } } });
+
+    expect(() => validate('broken', { a: 1 })).toThrow("Cannot resolve $ref 'missing': schema 'missing' not found");
+    expect(() => validate('broken', { b: 1 })).toThrow("Cannot resolve $ref '#/$defs/missing': '$defs' not found");
+    expect(() => validate('broken', { c: 1 })).toThrow("Cannot resolve $ref '#anchor': only JSON Pointer fragments are supported");
+  });
+
+  it('should detect references that loop without descending into the data', () => {
+    registerSchema('a', { $ref: 'b' });
+    registerSchema('b', { anyOf: [{ type: 'string' }, { $ref: 'a' }] });
+    registerSchema('self', { $ref: '#' });
+
+    expect(() => validate('a', 1)).toThrow("Circular $ref 'b' does not descend into the data");
+    expect(() => validate('self', {})).toThrow("Circular $ref '#' does not descend into the data");
+  });
+});
@@ -216,7 +216,7 @@ describe('Integration: Schema + Storage', () => {
       properties: {
         id: { type: 'string' },
         fullName: { type: 'string' },
-        email: { type: 'string' }
+        email: { type: ['string', 'null'] }
       },
       required: ['id', 'fullName']
     };
@@ -0,0 +1,306 @@
+/**
+ * 备份与恢复
+ * 以 NDJSON 流导出/导入任意 IStorage：第一行为头记录，其后每行一个条目 {k, v}
+ * 头记录包含格式版本、来源适配器、值编解码器、条目数和条目行的 CRC32 校验和
+ *
+ * 默认的 json 编解码器直接内嵌原始值，无法被 JSON 还原的值（Date、Map、二进制等）会让导出失败，
+ * 而不是在恢复时悄悄变成别的值；需要保存这些类型时改用 msgpack 等编解码器，编码结果以字符串或 base64 内嵌
+ */
+
+import { resolveCodec, requireSerializedCodec, encodeValue, decodeValue, storedToJSON, storedFromJSON, jsonCodec } from './codec.js';
+
+export const BACKUP_FORMAT = 'lfde-storage';
+export const BACKUP_VERSION = 1;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * 增量计算 CRC32
+ * @param {number} crc - 之前的结果，初始为 0
+ * @param {Uint8Array} bytes - 新数据
+ * @returns {number}
+ */
+function crc32(crc, bytes) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function formatChecksum(crc) {
+  return `crc32:${crc.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * 检查值能否经 JSON 原样还原
+ */
+function checkJSONValue(key, value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return;
+  if (typeof value === 'number' && Number.isFinite(value)) return;
+  if (Array.isArray(value)) {
+    for (const item of value) checkJSONValue(key, item);
+    return;
+  }
+  const proto = value !== null && typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+  if (proto === Object.prototype || proto === null) {
+    for (const item of Object.values(value)) {
+      // 与 JSON 一致：忽略值为 undefined 的属性
+      if (item !== undefined) checkJSONValue(key, item);
+    }
+    return;
+  }
+
+  const type = typeof value === 'object' ? value.constructor?.name ?? 'object' : typeof value;
+  throw new Error(`Cannot export ${type} value for key '${key}' as JSON; export with a codec such as 'msgpack'`);
+}
+
+/**
+ * 按键序生成导出范围内的条目行（UTF-8 编码，含换行符）
+ */
+async function* entryLines(storage, prefix, codec) {
+  const encoder = new TextEncoder();
+  for await (const { key, value } of storage.iterate({ prefix })) {
+    let v = value;
+    if (codec === jsonCodec) {
+      checkJSONValue(key, value);
+    } else {
+      v = storedToJSON(codec, encodeValue(codec, key, value));
+    }
+    yield encoder.encode(`${JSON.stringify({ k: key, v })}\n`);
+  }
+}
+
+/**
+ * 统计导出范围内的条目数和校验和
+ */
+async function summarize(storage, prefix, codec) {
+  let count = 0;
+  let crc = 0;
+  for await (const line of entryLines(storage, prefix, codec)) {
+    count++;
+    crc = crc32(crc, line);
+  }
+  return { count, checksum: formatChecksum(crc) };
+}
+
+/**
+ * 把存储中的数据以 NDJSON 写入可写流，完成后关闭流
+ * 头记录需要条目数和校验和，因此会先扫描一遍统计，写出时再校验一遍；
+ * 两遍之间数据被修改时中止流并抛出错误
+ * @param {IStorage} storage - 已打开的存储
+ * @param {WritableStream} writable - 可写流，写入 UTF-8 编码的 Uint8Array
+ * @param {Object} options - 选项
+ * @param {string} options.prefix - 只导出该前缀下的键
+ * @param {string|import('./codec.js').Codec} options.codec - 值编解码器，默认 'json'，必须输出文本或二进制
+ * @returns {Promise<Object>} 写出的头记录
+ */
+export async function exportTo(storage, writable, options = {}) {
+  const { prefix = '' } = options;
+  const codec = requireSerializedCodec(resolveCodec(options.codec, jsonCodec), 'exportTo');
+  if (typeof writable?.getWriter !== 'function') {
+    throw new Error('exportTo requires a WritableStream');
+  }
+
+  const { count, checksum } = await summarize(storage, prefix, codec);
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    adapter: storage.constructor.name,
+    codec: codec.name,
+    prefix,
+    count,
+    checksum,
+    createdAt: new Date().toISOString()
+  };
+
+  const writer = writable.getWriter();
+  try {
+    await writer.write(new TextEncoder().encode(`${JSON.stringify(header)}\n`));
+    let written = 0;
+    let crc = 0;
+    for await (const line of entryLines(storage, prefix, codec)) {
+      written++;
+      crc = crc32(crc, line);
+      await writer.write(line);
+    }
+    if (written !== count || formatChecksum(crc) !== checksum) {
+      throw new Error('Storage was modified during export');
+    }
+    await writer.close();
+  } catch (error) {
+    await writer.abort(error).catch(() => {});
+    throw error;
+  } finally {
+    writer.releaseLock();
+  }
+
+  return header;
+}
+
+/**
+ * 按行读取文本流，chunk 可以是 string 或 Uint8Array
+ * @param {ReadableStream|AsyncIterable|Iterable} readable - 可读流或（异步）可迭代对象
+ */
+async function* readLines(readable) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const chunks = typeof readable?.getReader === 'function' ? readChunks(readable) : readable;
+  if (!chunks || (typeof chunks[Symbol.asyncIterator] !== 'function' && typeof chunks[Symbol.iterator] !== 'function')) {
+    throw new Error('importFrom requires a ReadableStream or an iterable of chunks');
+  }
+
+  for await (const chunk of chunks) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer !== '') {
+    yield buffer;
+  }
+}
+
+async function* readChunks(readable) {
+  const reader = readable.getReader();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * 从 NDJSON 流恢复数据
+ * 默认（atomic: true）把整个备份解码后保存在内存中，读完并通过条目数与校验和验证后才以一次 batch 原子写入，
+ * 验证失败时存储保持不变；内存占用与备份大小成正比
+ * atomic: false 时边读边按 chunkSize 分批写入，内存只保留当前一批条目（replace 模式另外保留已读到的键），
+ * 验证失败时已写入的批次不会撤销，存储处于部分恢复的状态；replace 模式在验证通过后才删除备份中没有的键
+ * @param {IStorage} storage - 已打开的存储
+ * @param {ReadableStream|AsyncIterable|Iterable} readable - 可读流，或产生 string/Uint8Array 的（异步）可迭代对象
+ * @param {Object} options - 选项
+ * @param {'merge'|'replace'} options.mode - merge 覆盖同名键并保留其他键；replace 额外删除备份前缀下备份中没有的键，默认 merge
+ * @param {string|import('./codec.js').Codec} options.codec - 自定义编解码器，名称须与头记录一致；默认按头记录中的名称选择内置编解码器
+ * @param {boolean} options.atomic - 是否在内存中缓冲整个备份后原子写入，默认 true
+ * @param {number} options.chunkSize - atomic 为 false 时每批写入的条目数，默认 1000
+ * @returns {Promise<Object>} 读取到的头记录
+ */
+export async function importFrom(storage, readable, options = {}) {
+  const { mode = 'merge', atomic = true, chunkSize = 1000 } = options;
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new Error(`Unknown import mode '${mode}'`);
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+
+  const encoder = new TextEncoder();
+  // 键 -> 未解码的值；atomic 时为整个备份，否则为尚未写入的一批
+  const entries = new Map();
+  // 分批写入的 replace 模式需要记住备份中出现过的键
+  const seen = !atomic && mode === 'replace' ? new Set() : null;
+  let header = null;
+  let codec = null;
+  let crc = 0;
+  let count = 0;
+  let lineNumber = 0;
+
+  const decode = (key, value) => (codec === jsonCodec ? value : decodeValue(codec, key, storedFromJSON(codec, value)));
+  const flush = async () => {
+    if (entries.size === 0) return;
+    await storage.batch([...entries].map(([key, value]) => ({ type: 'put', key, value: decode(key, value) })));
+    entries.clear();
+  };
+
+  for await (const line of readLines(readable)) {
+    lineNumber++;
+    if (line === '') continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid backup record at line ${lineNumber}`);
+    }
+
+    if (!header) {
+      if (record?.format !== BACKUP_FORMAT) {
+        throw new Error('Invalid backup header');
+      }
+      if (record.version !== BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version ${record.version}`);
+      }
+      // 早期的备份没有 codec 字段，值都是原始 JSON
+      const name = record.codec ?? jsonCodec.name;
+      codec = resolveCodec(options.codec ?? name, jsonCodec);
+      if (codec.name !== name) {
+        throw new Error(`Backup was written with the '${name}' codec and cannot be read with '${codec.name}'`);
+      }
+      header = record;
+      continue;
+    }
+
+    if (typeof record?.k !== 'string') {
+      throw new Error(`Invalid backup record at line ${lineNumber}`);
+    }
+    crc = crc32(crc, encoder.encode(`${line}\n`));
+    count++;
+    entries.set(record.k, record.v);
+    seen?.add(record.k);
+    if (!atomic && entries.size >= chunkSize) {
+      await flush();
+    }
+  }
+
+  if (!header) {
+    throw new Error('Invalid backup header');
+  }
+  if (count !== header.count || formatChecksum(crc) !== header.checksum) {
+    throw new Error('Backup checksum mismatch');
+  }
+
+  if (!atomic) {
+    await flush();
+    if (seen) {
+      const ops = [];
+      for await (const { key } of storage.iterate({ prefix: header.prefix })) {
+        if (seen.has(key)) continue;
+        ops.push({ type: 'del', key });
+        if (ops.length >= chunkSize) {
+          await storage.batch(ops.splice(0));
+        }
+      }
+      if (ops.length > 0) await storage.batch(ops);
+    }
+    return header;
+  }
+
+  const ops = [];
+  if (mode === 'replace') {
+    for await (const { key } of storage.iterate({ prefix: header.prefix })) {
+      if (!entries.has(key)) {
+        ops.push({ type: 'del', key });
+      }
+    }
+  }
+  for (const [key, value] of entries) {
+    ops.push({ type: 'put', key, value: decode(key, value) });
+  }
+  await storage.batch(ops);
+
+  return header;
+}
@@ -0,0 +1,501 @@
+/**
+ * 值编解码器
+ * 适配器写入前用编解码器把值编码为存储形式，读取时解码，保证存取的是值的副本
+ * 且同一类值在所有适配器上以同样的方式往返
+ *
+ * 编解码器为 {name, format, encode, decode}，format 描述编码结果：
+ * - 'value'：可结构化克隆的 JS 值，只能用于进程内的介质（内存、IndexedDB）
+ * - 'text'：字符串
+ * - 'binary'：Uint8Array
+ *
+ * 内置：structured（structuredClone，支持 Date/Map/Set/Uint8Array 等）、
+ * json（JSON 文本）、msgpack（MessagePack 二进制，以扩展类型支持 Date/Map/Set/BigInt）
+ */
+
+/**
+ * @typedef {Object} Codec
+ * @property {string} name - 名称，持久化数据中用它标记编码方式
+ * @property {'value'|'text'|'binary'} format - 编码结果的形式
+ * @property {(value: any) => any} encode - 编码，无法编码时抛出
+ * @property {(stored: any) => any} decode - 解码，每次返回新的副本
+ */
+
+/** @type {Codec} */
+export const structuredCodec = {
+  name: 'structured',
+  format: 'value',
+  encode: (value) => structuredClone(value),
+  decode: (stored) => structuredClone(stored)
+};
+
+/** @type {Codec} */
+export const jsonCodec = {
+  name: 'json',
+  format: 'text',
+  encode(value) {
+    const text = JSON.stringify(value);
+    if (text === undefined) {
+      throw new TypeError(`Cannot encode ${typeof value} value as JSON`);
+    }
+    return text;
+  },
+  decode: (text) => JSON.parse(text)
+};
+
+// MessagePack 扩展类型：-1 为规范定义的时间戳，其余为本库自定义
+const EXT_TIMESTAMP = -1;
+const EXT_MAP = 1;
+const EXT_SET = 2;
+const EXT_BIGINT = 3;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * 可增长的字节缓冲区
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(64);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  _reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this._reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  u16(value) {
+    this._reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this._reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  i64(value) {
+    this._reserve(8);
+    this.view.setBigInt64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  u64(value) {
+    this._reserve(8);
+    this.view.setBigUint64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  f64(value) {
+    this._reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this._reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+function writeLength(writer, length, [op8, op16, op32]) {
+  if (op8 !== undefined && length <= 0xff) {
+    writer.u8(op8);
+    writer.u8(length);
+  } else if (length <= 0xffff) {
+    writer.u8(op16);
+    writer.u16(length);
+  } else {
+    writer.u8(op32);
+    writer.u32(length);
+  }
+}
+
+function writeNumber(writer, value) {
+  if (!Number.isSafeInteger(value) || Object.is(value, -0)) {
+    writer.u8(0xcb);
+    writer.f64(value);
+  } else if (value >= 0) {
+    if (value < 0x80) {
+      writer.u8(value);
+    } else if (value <= 0xff) {
+      writer.u8(0xcc);
+      writer.u8(value);
+    } else if (value <= 0xffff) {
+      writer.u8(0xcd);
+      writer.u16(value);
+    } else if (value <= 0xffffffff) {
+      writer.u8(0xce);
+      writer.u32(value);
+    } else {
+      writer.u8(0xcf);
+      writer.u64(value);
+    }
+  } else if (value >= -0x20) {
+    writer.u8(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.u8(0xd0);
+    writer.u8(value & 0xff);
+  } else if (value >= -0x8000) {
+    writer.u8(0xd1);
+    writer.u16(value & 0xffff);
+  } else if (value >= -0x80000000) {
+    writer.u8(0xd2);
+    writer.u32(value >>> 0);
+  } else {
+    writer.u8(0xd3);
+    writer.i64(value);
+  }
+}
+
+function writeExt(writer, type, payload) {
+  const fixext = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 }[payload.length];
+  if (fixext !== undefined) {
+    writer.u8(fixext);
+  } else {
+    writeLength(writer, payload.length, [0xc7, 0xc8, 0xc9]);
+  }
+  writer.u8(type & 0xff);
+  writer.raw(payload);
+}
+
+function writeValue(writer, value) {
+  if (value === null || value === undefined) {
+    writer.u8(0xc0);
+  } else if (typeof value === 'boolean') {
+    writer.u8(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'number') {
+    writeNumber(writer, value);
+  } else if (typeof value === 'bigint') {
+    writeExt(writer, EXT_BIGINT, textEncoder.encode(value.toString()));
+  } else if (typeof value === 'string') {
+    const bytes = textEncoder.encode(value);
+    if (bytes.length < 32) {
+      writer.u8(0xa0 | bytes.length);
+    } else {
+      writeLength(writer, bytes.length, [0xd9, 0xda, 0xdb]);
+    }
+    writer.raw(bytes);
+  } else if (value instanceof Uint8Array) {
+    writeLength(writer, value.length, [0xc4, 0xc5, 0xc6]);
+    writer.raw(value);
+  } else if (Array.isArray(value)) {
+    writeArrayHeader(writer, value.length);
+    for (const item of value) writeValue(writer, item);
+  } else if (value instanceof Date) {
+    const time = value.getTime();
+    if (Number.isNaN(time)) {
+      throw new TypeError('Cannot encode an invalid Date');
+    }
+    // timestamp 96：纳秒（uint32）+ 秒（int64）
+    const seconds = Math.floor(time / 1000);
+    const payload = new ByteWriter();
+    payload.u32((time - seconds * 1000) * 1e6);
+    payload.i64(seconds);
+    writeExt(writer, EXT_TIMESTAMP, payload.result());
+  } else if (value instanceof Map) {
+    writeExt(writer, EXT_MAP, encodeMsgpack(Array.from(value, ([k, v]) => [k, v])));
+  } else if (value instanceof Set) {
+    writeExt(writer, EXT_SET, encodeMsgpack(Array.from(value)));
+  } else if (typeof value === 'object' && !ArrayBuffer.isView(value)) {
+    // 与 JSON 一致：忽略值为 undefined 的属性
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length < 16) {
+      writer.u8(0x80 | entries.length);
+    } else {
+      writeLength(writer, entries.length, [undefined, 0xde, 0xdf]);
+    }
+    for (const [k, v] of entries) {
+      writeValue(writer, k);
+      writeValue(writer, v);
+    }
+  } else {
+    const type = typeof value === 'object' ? value.constructor?.name ?? 'object' : typeof value;
+    throw new TypeError(`Cannot encode ${type} value as MessagePack`);
+  }
+}
+
+function writeArrayHeader(writer, length) {
+  if (length < 16) {
+    writer.u8(0x90 | length);
+  } else {
+    writeLength(writer, length, [undefined, 0xdc, 0xdd]);
+  }
+}
+
+function encodeMsgpack(value) {
+  const writer = new ByteWriter();
+  writeValue(writer, value);
+  return writer.result();
+}
+
+/**
+ * 顺序读取字节
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  _take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new TypeError('Invalid MessagePack data: unexpected end of input');
+    }
+    const offset = this.offset;
+    this.offset += size;
+    return offset;
+  }
+
+  u8() { return this.view.getUint8(this._take(1)); }
+  i8() { return this.view.getInt8(this._take(1)); }
+  u16() { return this.view.getUint16(this._take(2)); }
+  i16() { return this.view.getInt16(this._take(2)); }
+  u32() { return this.view.getUint32(this._take(4)); }
+  i32() { return this.view.getInt32(this._take(4)); }
+  u64() { return this.view.getBigUint64(this._take(8)); }
+  i64() { return this.view.getBigInt64(this._take(8)); }
+  f32() { return this.view.getFloat32(this._take(4)); }
+  f64() { return this.view.getFloat64(this._take(8)); }
+
+  raw(length) {
+    const offset = this._take(length);
+    return this.bytes.subarray(offset, offset + length);
+  }
+}
+
+function toSafeNumber(bigint) {
+  const number = Number(bigint);
+  return Number.isSafeInteger(number) ? number : bigint;
+}
+
+function readExt(reader, length) {
+  const type = reader.i8();
+  const payload = reader.raw(length);
+  switch (type) {
+    case EXT_TIMESTAMP: {
+      const data = new ByteReader(payload);
+      if (length === 4) return new Date(data.u32() * 1000);
+      if (length === 8) {
+        const high = data.u32();
+        const low = data.u32();
+        return new Date(((high & 0x03) * 2 ** 32 + low) * 1000 + Math.floor((high >>> 2) / 1e6));
+      }
+      if (length === 12) {
+        const nanoseconds = data.u32();
+        return new Date(Number(data.i64()) * 1000 + Math.floor(nanoseconds / 1e6));
+      }
+      break;
+    }
+    case EXT_MAP:
+      return new Map(decodeMsgpack(payload));
+    case EXT_SET:
+      return new Set(decodeMsgpack(payload));
+    case EXT_BIGINT:
+      return BigInt(textDecoder.decode(payload));
+  }
+  throw new TypeError(`Invalid MessagePack data: unsupported extension type ${type}`);
+}
+
+function readArray(reader, length) {
+  const array = new Array(length);
+  for (let i = 0; i < length; i++) array[i] = readValue(reader);
+  return array;
+}
+
+function readMap(reader, length) {
+  const object = {};
+  for (let i = 0; i < length; i++) {
+    const key = String(readValue(reader));
+    // 与 JSON.parse 一致，'__proto__' 作为普通属性而不是修改原型
+    Object.defineProperty(object, key, { value: readValue(reader), enumerable: true, writable: true, configurable: true });
+  }
+  return object;
+}
+
+function readValue(reader) {
+  const byte = reader.u8();
+  if (byte < 0x80) return byte;
+  if (byte < 0x90) return readMap(reader, byte & 0x0f);
+  if (byte < 0xa0) return readArray(reader, byte & 0x0f);
+  if (byte < 0xc0) return textDecoder.decode(reader.raw(byte & 0x1f));
+  if (byte >= 0xe0) return byte - 0x100;
+
+  switch (byte) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return reader.raw(reader.u8()).slice();
+    case 0xc5: return reader.raw(reader.u16()).slice();
+    case 0xc6: return reader.raw(reader.u32()).slice();
+    case 0xc7: return readExt(reader, reader.u8());
+    case 0xc8: return readExt(reader, reader.u16());
+    case 0xc9: return readExt(reader, reader.u32());
+    case 0xca: return reader.f32();
+    case 0xcb: return reader.f64();
+    case 0xcc: return reader.u8();
+    case 0xcd: return reader.u16();
+    case 0xce: return reader.u32();
+    case 0xcf: return toSafeNumber(reader.u64());
+    case 0xd0: return reader.i8();
+    case 0xd1: return reader.i16();
+    case 0xd2: return reader.i32();
+    case 0xd3: return toSafeNumber(reader.i64());
+    case 0xd4: return readExt(reader, 1);
+    case 0xd5: return readExt(reader, 2);
+    case 0xd6: return readExt(reader, 4);
+    case 0xd7: return readExt(reader, 8);
+    case 0xd8: return readExt(reader, 16);
+    case 0xd9: return textDecoder.decode(reader.raw(reader.u8()));
+    case 0xda: return textDecoder.decode(reader.raw(reader.u16()));
+    case 0xdb: return textDecoder.decode(reader.raw(reader.u32()));
+    case 0xdc: return readArray(reader, reader.u16());
+    case 0xdd: return readArray(reader, reader.u32());
+    case 0xde: return readMap(reader, reader.u16());
+    case 0xdf: return readMap(reader, reader.u32());
+  }
+  throw new TypeError(`Invalid MessagePack data: unknown type byte 0x${byte.toString(16)}`);
+}
+
+function decodeMsgpack(bytes) {
+  const reader = new ByteReader(bytes);
+  const value = readValue(reader);
+  if (reader.offset !== bytes.length) {
+    throw new TypeError('Invalid MessagePack data: trailing bytes');
+  }
+  return value;
+}
+
+/**
+ * MessagePack 编解码器
+ * undefined 编码为 nil（解码为 null），对象中值为 undefined 的属性被忽略；
+ * 除 Uint8Array 外的 TypedArray、函数、Symbol 无法编码
+ * @type {Codec}
+ */
+export const msgpackCodec = {
+  name: 'msgpack',
+  format: 'binary',
+  encode: encodeMsgpack,
+  decode: decodeMsgpack
+};
+
+const BUILTIN_CODECS = {
+  structured: structuredCodec,
+  json: jsonCodec,
+  msgpack: msgpackCodec
+};
+
+/**
+ * 解析 codec 选项
+ * @param {string|Codec} codec - 内置编解码器名称或自定义编解码器
+ * @param {Codec} fallback - 未指定时使用的编解码器
+ * @returns {Codec}
+ */
+export function resolveCodec(codec, fallback) {
+  if (codec === undefined) return fallback;
+  if (typeof codec === 'string') {
+    if (!Object.hasOwn(BUILTIN_CODECS, codec)) {
+      throw new Error(`Unknown codec '${codec}'`);
+    }
+    return BUILTIN_CODECS[codec];
+  }
+  if (typeof codec?.encode !== 'function' || typeof codec.decode !== 'function' || !['value', 'text', 'binary'].includes(codec.format)) {
+    throw new Error('A codec must have a format and encode/decode functions');
+  }
+  return codec;
+}
+
+/**
+ * 要求编解码器输出可以序列化的结果（文本或二进制），供需要落盘或加密的适配器使用
+ * @param {Codec} codec - 编解码器
+ * @param {string} adapter - 适配器名，用于错误信息
+ * @returns {Codec}
+ */
+export function requireSerializedCodec(codec, adapter) {
+  if (codec.format === 'value') {
+    throw new Error(`${adapter} requires a text or binary codec, got '${codec.name}'`);
+  }
+  return codec;
+}
+
+/**
+ * 编码要写入某个键的值，失败时抛出带键名的错误，原始错误作为 cause
+ * @param {Codec} codec - 编解码器
+ * @param {string} key - 键
+ * @param {any} value - 值
+ */
+export function encodeValue(codec, key, value) {
+  try {
+    return codec.encode(value);
+  } catch (error) {
+    throw new Error(`Cannot store ${typeof value} value for key '${key}'`, { cause: error });
+  }
+}
+
+/**
+ * 解码某个键的存储形式，失败时抛出带键名的错误，原始错误作为 cause
+ * @param {Codec} codec - 编解码器
+ * @param {string} key - 键
+ * @param {any} stored - 存储形式
+ */
+export function decodeValue(codec, key, stored) {
+  try {
+    return codec.decode(stored);
+  } catch (error) {
+    throw new Error(`Cannot decode value for key '${key}' with the '${codec.name}' codec`, { cause: error });
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * 把存储形式转换为可以内嵌在 JSON 文档中的值，供写 JSON 格式文件或明文的适配器使用：
+ * json 编解码器内嵌原始值（文件保持可读），文本原样保存，二进制转为 base64
+ * @param {Codec} codec - 文本或二进制编解码器
+ * @param {string|Uint8Array} stored - 存储形式
+ */
+export function storedToJSON(codec, stored) {
+  if (codec === jsonCodec) return JSON.parse(stored);
+  return codec.format === 'binary' ? bytesToBase64(stored) : stored;
+}
+
+/**
+ * storedToJSON 的逆操作
+ * @param {Codec} codec - 写入时使用的编解码器
+ * @param {any} json - 内嵌在 JSON 文档中的值
+ * @returns {string|Uint8Array} 存储形式
+ */
+export function storedFromJSON(codec, json) {
+  if (codec === jsonCodec) return JSON.stringify(json);
+  return codec.format === 'binary' ? base64ToBytes(json) : json;
+}
@@ -0,0 +1,287 @@
+/**
+ * 存储适配器一致性测试套件
+ * 自定义 IStorage 适配器可以用它验证行为与内置适配器（以 MemoryStorage 为准）一致：
+ *
+ *   import { runStorageConformance } from '@lfde/storage/conformance';
+ *   runStorageConformance(() => new MyStorage(), { name: 'MyStorage' });
+ *
+ * 套件通过 vitest 的 describe/it 注册用例（bun test 同样支持），需在测试文件中调用；
+ * vitest 是可选的 peerDependency，只有使用本套件时才需要安装；
+ * 不从包入口导出，避免运行时依赖测试框架
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+const keysOf = (entries) => entries.map((entry) => entry.key);
+
+/**
+ * 注册一致性测试
+ * @param {Function} createAdapter - 返回（或异步返回）一个尚未打开的新存储实例，每个用例调用一次
+ * @param {Object} options - 选项
+ * @param {string} options.name - 测试分组名，默认 'IStorage conformance'
+ */
+export function runStorageConformance(createAdapter, options = {}) {
+  const { name = 'IStorage conformance' } = options;
+
+  describe(name, () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await createAdapter();
+      await storage.open();
+    });
+
+    afterEach(async () => {
+      await storage.close();
+    });
+
+    describe('lifecycle', () => {
+      it('should reject operations before open', async () => {
+        const fresh = await createAdapter();
+        await expect(fresh.get('a')).rejects.toThrow();
+        await expect(fresh.put('a', 1)).rejects.toThrow();
+        await expect(fresh.del('a')).rejects.toThrow();
+        await expect(fresh.scan()).rejects.toThrow();
+        await expect(fresh.tx()).rejects.toThrow();
+      });
+
+      it('should reject operations after close', async () => {
+        await storage.put('a', 1);
+        await storage.close();
+
+        await expect(storage.get('a')).rejects.toThrow();
+        await expect(storage.put('a', 2)).rejects.toThrow();
+        await expect(storage.scan()).rejects.toThrow();
+        await expect(storage.tx()).rejects.toThrow();
+
+        storage = await createAdapter();
+        await storage.open();
+      });
+    });
+
+    describe('get/put/del', () => {
+      it('should return null for missing keys', async () => {
+        expect(await storage.get('missing')).toBe(null);
+      });
+
+      it('should round-trip JSON values', async () => {
+        const value = { name: 'Alice', tags: ['a', 'b'], nested: { n: 1.5, ok: true, none: null } };
+        await storage.put('object', value);
+        await storage.put('array', [1, 'two', { three: 3 }]);
+        await storage.put('string', '中文 ✓');
+
+        expect(await storage.get('object')).toEqual(value);
+        expect(await storage.get('array')).toEqual([1, 'two', { three: 3 }]);
+        expect(await storage.get('string')).toBe('中文 ✓');
+      });
+
+      it('should preserve falsy values', async () => {
+        await storage.put('zero', 0);
+        await storage.put('empty', '');
+        await storage.put('false', false);
+        await storage.put('null', null);
+
+        expect(await storage.get('zero')).toBe(0);
+        expect(await storage.get('empty')).toBe('');
+        expect(await storage.get('false')).toBe(false);
+        expect(await storage.get('null')).toBe(null);
+      });
+
+      it('should store copies of values', async () => {
+        const value = { tags: ['a'] };
+        await storage.put('a', value);
+        value.tags.push('after put');
+        (await storage.get('a')).tags.push('after get');
+
+        expect(await storage.get('a')).toEqual({ tags: ['a'] });
+      });
+
+      it('should overwrite existing values', async () => {
+        await storage.put('a', 1);
+        await storage.put('a', 2);
+        expect(await storage.get('a')).toBe(2);
+      });
+
+      it('should report whether del removed a key', async () => {
+        await storage.put('a', 0);
+
+        expect(await storage.del('a')).toBe(true);
+        expect(await storage.get('a')).toBe(null);
+        expect(await storage.del('a')).toBe(false);
+        expect(await storage.del('never')).toBe(false);
+      });
+    });
+
+    describe('scan', () => {
+      beforeEach(async () => {
+        for (const key of ['b:2', 'a:1', 'b:1', 'c', 'b:3', 'b', 'a:2']) {
+          await storage.put(key, key.toUpperCase());
+        }
+      });
+
+      it('should return entries in key order', async () => {
+        const entries = await storage.scan();
+        expect(keysOf(entries)).toEqual(['a:1', 'a:2', 'b', 'b:1', 'b:2', 'b:3', 'c']);
+        expect(entries[0]).toEqual({ key: 'a:1', value: 'A:1' });
+        expect(keysOf(await storage.scan({ reverse: true }))).toEqual(['c', 'b:3', 'b:2', 'b:1', 'b', 'a:2', 'a:1']);
+      });
+
+      it('should filter by prefix and range bounds', async () => {
+        expect(keysOf(await storage.scan({ prefix: 'b:' }))).toEqual(['b:1', 'b:2', 'b:3']);
+        expect(keysOf(await storage.scan({ prefix: 'x' }))).toEqual([]);
+        expect(keysOf(await storage.scan({ gt: 'b', lte: 'b:2' }))).toEqual(['b:1', 'b:2']);
+        expect(keysOf(await storage.scan({ gte: 'b', lt: 'b:2' }))).toEqual(['b', 'b:1']);
+        expect(keysOf(await storage.scan({ prefix: 'b:', gt: 'b:1', reverse: true }))).toEqual(['b:3', 'b:2']);
+      });
+
+      it('should apply offset and limit after ordering', async () => {
+        expect(keysOf(await storage.scan({ limit: 2 }))).toEqual(['a:1', 'a:2']);
+        expect(keysOf(await storage.scan({ offset: 2, limit: 2 }))).toEqual(['b', 'b:1']);
+        expect(keysOf(await storage.scan({ prefix: 'b:', reverse: true, limit: 1 }))).toEqual(['b:3']);
+        expect(keysOf(await storage.scan({ offset: 10 }))).toEqual([]);
+      });
+
+      it('should page through every entry exactly once with cursors', async () => {
+        for (const reverse of [false, true]) {
+          const seen = [];
+          let page = await storage.scan({ limit: 3, reverse });
+          seen.push(...keysOf(page));
+          while (page.cursor) {
+            page = await storage.scan({ limit: 3, reverse, cursor: page.cursor });
+            seen.push(...keysOf(page));
+          }
+          expect(seen).toEqual(keysOf(await storage.scan({ reverse })));
+        }
+      });
+
+      it('should stream entries with iterate', async () => {
+        const seen = [];
+        for await (const { key } of storage.iterate({ prefix: 'b', pageSize: 2 })) {
+          seen.push(key);
+        }
+        expect(seen).toEqual(['b', 'b:1', 'b:2', 'b:3']);
+      });
+    });
+
+    describe('transactions', () => {
+      it('should read its own writes and hide them until commit', async () => {
+        await storage.put('a', 'before');
+        const tx = await storage.tx();
+        await tx.put('a', 'inside');
+        await tx.put('b', 0);
+        await tx.del('c');
+
+        expect(await tx.get('a')).toBe('inside');
+        expect(await tx.get('b')).toBe(0);
+        expect(await tx.get('c')).toBe(null);
+        expect(await storage.get('a')).toBe('before');
+        expect(await storage.get('b')).toBe(null);
+
+        await tx.commit();
+        expect(await storage.get('a')).toBe('inside');
+        expect(await storage.get('b')).toBe(0);
+      });
+
+      it('should store copies of values written in a transaction', async () => {
+        const value = { tags: ['a'] };
+        const tx = await storage.tx();
+        await tx.put('a', value);
+        value.tags.push('after put');
+        (await tx.get('a')).tags.push('after get');
+
+        expect(await tx.get('a')).toEqual({ tags: ['a'] });
+        await tx.commit();
+        expect(await storage.get('a')).toEqual({ tags: ['a'] });
+      });
+
+      it('should reject values the codec cannot encode at put', async () => {
+        const tx = await storage.tx();
+        await expect(tx.put('f', () => {})).rejects.toThrow();
+        await tx.put('a', 1);
+        await tx.commit();
+        expect(await storage.scan()).toEqual([{ key: 'a', value: 1 }]);
+      });
+
+      it('should read committed falsy values', async () => {
+        await storage.put('zero', 0);
+        await storage.put('empty', '');
+        const tx = await storage.tx();
+
+        expect(await tx.get('zero')).toBe(0);
+        expect(await tx.get('empty')).toBe('');
+        await tx.rollback();
+      });
+
+      it('should apply puts and deletes together on commit', async () => {
+        await storage.put('old', 1);
+        const tx = await storage.tx();
+        await tx.del('old');
+        await tx.put('new', 2);
+        await tx.commit();
+
+        expect(keysOf(await storage.scan())).toEqual(['new']);
+      });
+
+      it('should discard changes on rollback', async () => {
+        await storage.put('a', 1);
+        const tx = await storage.tx();
+        await tx.put('a', 2);
+        await tx.del('a');
+        await tx.put('b', 3);
+        await tx.rollback();
+
+        expect(await storage.get('a')).toBe(1);
+        expect(await storage.get('b')).toBe(null);
+      });
+
+      it('should give repeatable reads while other writes commit', async () => {
+        await storage.put('a', 'first');
+        const tx = await storage.tx();
+        expect(await tx.get('a')).toBe('first');
+
+        await storage.put('a', 'second');
+        expect(await tx.get('a')).toBe('first');
+        expect(await storage.get('a')).toBe('second');
+        await tx.rollback();
+      });
+
+      it('should keep concurrent transactions isolated', async () => {
+        const first = await storage.tx();
+        const second = await storage.tx();
+        await first.put('a', 'first');
+
+        expect(await second.get('b')).toBe(null);
+        await second.put('b', 'second');
+        await first.commit();
+        await second.commit();
+
+        expect(await storage.get('a')).toBe('first');
+        expect(await storage.get('b')).toBe('second');
+      });
+
+      it('should reject use after commit or rollback', async () => {
+        const committed = await storage.tx();
+        await committed.commit();
+        await expect(committed.put('a', 1)).rejects.toThrow();
+        await expect(committed.commit()).rejects.toThrow();
+
+        const rolledBack = await storage.tx();
+        await rolledBack.rollback();
+        await expect(rolledBack.get('a')).rejects.toThrow();
+        await expect(rolledBack.commit()).rejects.toThrow();
+      });
+
+      it('should apply batches atomically', async () => {
+        await storage.put('old', 1);
+        await storage.batch([
+          { type: 'put', key: 'a', value: 0 },
+          { type: 'del', key: 'old' }
+        ]);
+
+        expect(await storage.scan()).toEqual([{ key: 'a', value: 0 }]);
+        await expect(storage.batch([{ type: 'replace', key: 'a' }])).rejects.toThrow();
+        expect(await storage.get('a')).toBe(0);
+      });
+    });
+  });
+}
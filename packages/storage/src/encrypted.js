@@ -0,0 +1,312 @@
+/**
+ * 加密存储包装器
+ * 包装任意 IStorage，写入前用 AES-256-GCM（node:crypto）加密值，读取时解密；
+ * 可选地把键替换为 HMAC-SHA256 摘要，使底层存储中不出现明文键
+ *
+ * 底层存储中的值为信封 {v, kid, iv, tag, data}：明文为 JSON {k, v}（原始键与值），
+ * 底层键作为附加认证数据（AAD），防止密文被挪到其他键下
+ * 值先经编解码器编码：json（默认）直接内嵌原始值，其他编解码器的编码结果以字符串或 base64 内嵌，
+ * 并在明文中标记 c（编解码器名称）
+ */
+
+import { IStorage, ITransaction, resolveScanOptions, matchesRange, collectPage } from './interface.js';
+import { resolveCodec, requireSerializedCodec, encodeValue, decodeValue, storedToJSON, storedFromJSON, jsonCodec } from './codec.js';
+
+const ENVELOPE_VERSION = 1;
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * 密钥提供者
+ * @typedef {Object} KeyProvider
+ * @property {string} currentKeyId - 加密新值时使用的密钥 id
+ * @property {(id: string) => Uint8Array|Promise<Uint8Array>} getKey - 按 id 返回 32 字节密钥，解密旧值时会用到历史 id
+ */
+
+/**
+ * 创建只有一个固定密钥的密钥提供者
+ * @param {Uint8Array} key - 32 字节密钥
+ * @param {string} id - 密钥 id，默认 'default'
+ * @returns {KeyProvider}
+ */
+export function createStaticKeyProvider(key, id = 'default') {
+  return {
+    currentKeyId: id,
+    getKey(keyId) {
+      if (keyId !== id) {
+        throw new Error(`Unknown encryption key '${keyId}'`);
+      }
+      return key;
+    }
+  };
+}
+
+/**
+ * 加密事务实现：读写经由底层事务，值在事务内即加密
+ */
+export class EncryptedTransaction extends ITransaction {
+  constructor(storage, inner) {
+    super();
+    this.storage = storage;
+    this.inner = inner;
+  }
+
+  async get(key) {
+    const storedKey = this.storage._storedKey(key);
+    return (await this.storage._decrypt(storedKey, await this.inner.get(storedKey))).value;
+  }
+
+  async put(key, value, options = {}) {
+    const storedKey = this.storage._storedKey(key);
+    await this.inner.put(storedKey, await this.storage._encrypt(storedKey, key, value), options);
+  }
+
+  async del(key) {
+    return this.inner.del(this.storage._storedKey(key));
+  }
+
+  async commit() {
+    await this.inner.commit();
+  }
+
+  async rollback() {
+    await this.inner.rollback();
+  }
+}
+
+/**
+ * 加密存储包装器实现
+ */
+export class EncryptedStorage extends IStorage {
+  /**
+   * @param {IStorage} inner - 被包装的存储
+   * @param {Object} options - 配置选项
+   * @param {KeyProvider} options.keyProvider - 密钥提供者
+   * @param {boolean} options.hashKeys - 是否以 HMAC 摘要代替明文键，默认 false；
+   *   开启后底层键不再有序，scan 需要解密全部条目再过滤排序
+   * @param {string} options.hashKeyId - 派生键摘要密钥所用的密钥 id，默认 keyProvider.currentKeyId；
+   *   轮换加密密钥时该 id 必须保持不变，否则已有的键无法再被找到
+   * @param {string|import('./codec.js').Codec} options.codec - 值编解码器，默认 'json'，必须输出文本或二进制
+   */
+  constructor(inner, options = {}) {
+    super();
+    if (!inner) {
+      throw new Error('EncryptedStorage requires a storage to wrap');
+    }
+    if (!options.keyProvider) {
+      throw new Error('EncryptedStorage requires a keyProvider');
+    }
+    this.inner = inner;
+    this.keyProvider = options.keyProvider;
+    this.hashKeys = options.hashKeys ?? false;
+    this.hashKeyId = options.hashKeyId ?? options.keyProvider.currentKeyId;
+    this.codec = requireSerializedCodec(resolveCodec(options.codec, jsonCodec), 'EncryptedStorage');
+    this.keys = new Map();
+    this.crypto = null;
+    this.hashKey = null;
+  }
+
+  async open(options = {}) {
+    this.crypto = await import('node:crypto');
+    if (this.hashKeys) {
+      const key = await this._key(this.hashKeyId);
+      this.hashKey = Buffer.from(this.crypto.hkdfSync('sha256', key, new Uint8Array(0), 'lfde-storage-key-hash', KEY_BYTES));
+    }
+    await this.inner.open(options);
+  }
+
+  async close() {
+    await this.inner.close();
+  }
+
+  async get(key) {
+    const storedKey = this._storedKey(key);
+    return (await this._decrypt(storedKey, await this.inner.get(storedKey))).value;
+  }
+
+  async put(key, value, options = {}) {
+    const storedKey = this._storedKey(key);
+    await this.inner.put(storedKey, await this._encrypt(storedKey, key, value), options);
+  }
+
+  async del(key) {
+    return this.inner.del(this._storedKey(key));
+  }
+
+  async scan(options = {}) {
+    if (!this.hashKeys) {
+      const page = await this.inner.scan(options);
+      const results = [];
+      for (const { key, value } of page) {
+        results.push({ key, value: (await this._decrypt(key, value)).value });
+      }
+      Object.defineProperty(results, 'cursor', { value: page.cursor ?? null, enumerable: false });
+      return results;
+    }
+
+    // 摘要键没有顺序可言：解密全部条目，按原始键过滤排序后再分页
+    const resolved = resolveScanOptions(options);
+    const entries = [];
+    for await (const { key: storedKey, value } of this.inner.iterate()) {
+      const entry = await this._decrypt(storedKey, value);
+      if (matchesRange(entry.key, resolved)) {
+        entries.push(entry);
+      }
+    }
+    entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    if (resolved.reverse) entries.reverse();
+
+    let index = 0;
+    return collectPage(() => entries[index++], resolved);
+  }
+
+  async tx() {
+    return new EncryptedTransaction(this, await this.inner.tx());
+  }
+
+  async batch(ops) {
+    const encrypted = [];
+    for (const op of ops) {
+      const storedKey = this._storedKey(op.key);
+      encrypted.push(op.type === 'del'
+        ? { type: 'del', key: storedKey }
+        : { ...op, key: storedKey, value: await this._encrypt(storedKey, op.key, op.value) });
+    }
+    await this.inner.batch(encrypted);
+  }
+
+  watch(options = {}, callback) {
+    // 摘要键无法在底层按范围过滤，只能订阅全部变更后按原始键过滤
+    const innerOptions = this.hashKeys ? {} : options;
+    const decodeChange = async (change) => {
+      const value = await this._decrypt(change.key, change.value);
+      const oldValue = await this._decrypt(change.key, change.oldValue);
+      const key = value.key ?? oldValue.key ?? change.key;
+      if (this.hashKeys && !matchesRange(key, options)) return null;
+      return { ...change, key, value: value.value, oldValue: oldValue.value };
+    };
+    const decode = async (event) => {
+      if (event.type !== 'batch') return decodeChange(event);
+      const changes = [];
+      for (const change of event.changes) {
+        const decoded = await decodeChange(change);
+        if (decoded) changes.push(decoded);
+      }
+      return changes.length > 0 ? { ...event, changes } : null;
+    };
+
+    if (callback) {
+      // 解密是异步的，回调在变更提交后的微任务中按顺序调用
+      let delivery = Promise.resolve();
+      return this.inner.watch(innerOptions, (change) => {
+        delivery = delivery
+          .then(() => decode(change))
+          .then((decoded) => decoded && callback(decoded))
+          .catch(() => {});
+      });
+    }
+
+    const source = this.inner.watch(innerOptions);
+    return {
+      async next() {
+        while (true) {
+          const result = await source.next();
+          if (result.done) return result;
+          const decoded = await decode(result.value);
+          if (decoded) return { value: decoded, done: false };
+        }
+      },
+      return() {
+        return source.return();
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  healthCheck() {
+    return this.inner.healthCheck?.() ?? { status: 'ok' };
+  }
+
+  _storedKey(key) {
+    if (!this.hashKeys) return key;
+    this._checkReady();
+    return this.crypto.createHmac('sha256', this.hashKey).update(key).digest('hex');
+  }
+
+  async _key(id) {
+    if (!this.keys.has(id)) {
+      const key = await this.keyProvider.getKey(id);
+      if (!key || key.length !== KEY_BYTES) {
+        throw new Error(`Encryption key '${id}' must be ${KEY_BYTES} bytes`);
+      }
+      this.keys.set(id, key);
+    }
+    return this.keys.get(id);
+  }
+
+  async _encrypt(storedKey, key, value) {
+    this._checkReady();
+    const payload = { k: key, v: storedToJSON(this.codec, encodeValue(this.codec, key, value)) };
+    if (this.codec !== jsonCodec) payload.c = this.codec.name;
+    const kid = this.keyProvider.currentKeyId;
+    const iv = this.crypto.randomBytes(IV_BYTES);
+    const cipher = this.crypto.createCipheriv('aes-256-gcm', await this._key(kid), iv);
+    cipher.setAAD(Buffer.from(storedKey));
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload)), cipher.final()]);
+
+    return {
+      v: ENVELOPE_VERSION,
+      kid,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * 解密信封，按信封中的 kid 向密钥提供者取密钥
+   * @returns {Promise<{key: string|undefined, value: any}>}
+   */
+  async _decrypt(storedKey, envelope) {
+    if (envelope === null || envelope === undefined) {
+      return { key: undefined, value: null };
+    }
+    this._checkReady();
+    if (envelope.v !== ENVELOPE_VERSION) {
+      throw new Error(`Failed to decrypt value for key '${storedKey}'`);
+    }
+
+    const key = await this._key(envelope.kid);
+    let payload;
+    try {
+      const decipher = this.crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAAD(Buffer.from(storedKey));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      payload = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Failed to decrypt value for key '${storedKey}'`);
+    }
+    return { key: payload.k, value: this._decodePayload(storedKey, payload) };
+  }
+
+  /**
+   * 解码明文中的值：未标记 c 的是原始 JSON 值，可以直接使用；其他编解码器必须与当前一致
+   */
+  _decodePayload(storedKey, { v, c = jsonCodec.name }) {
+    if (v === undefined) return null;
+    if (c === jsonCodec.name) return v;
+    if (c !== this.codec.name) {
+      throw new Error(`Cannot decode value for key '${storedKey}' with the '${this.codec.name}' codec`);
+    }
+    return decodeValue(this.codec, storedKey, storedFromJSON(this.codec, v));
+  }
+
+  _checkReady() {
+    if (!this.crypto) {
+      throw new Error('Storage is not open');
+    }
+  }
+}
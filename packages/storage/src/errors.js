@@ -0,0 +1,34 @@
+/**
+ * 存储错误类型
+ */
+
+/**
+ * 事务冲突：事务读取或写入的键在事务开始后被其他提交修改过
+ * 调用方可以重新执行事务，参见 IStorage.runTransaction
+ */
+export class TransactionConflictError extends Error {
+  /**
+   * @param {string} key - 发生冲突的键
+   */
+  constructor(key) {
+    super(`Transaction conflict on key '${key}'`);
+    this.name = 'TransactionConflictError';
+    this.key = key;
+  }
+}
+
+/**
+ * 写入后的估算占用超过了 maxBytes 配额，写入没有生效
+ */
+export class QuotaExceededError extends Error {
+  /**
+   * @param {number} bytes - 写入后的估算总字节数
+   * @param {number} maxBytes - 配额上限
+   */
+  constructor(bytes, maxBytes) {
+    super(`Storage quota exceeded: ${bytes} bytes would exceed the limit of ${maxBytes} bytes`);
+    this.name = 'QuotaExceededError';
+    this.bytes = bytes;
+    this.maxBytes = maxBytes;
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * 文件存储适配器（Node）
+ * 数据常驻内存，写操作先追加到 WAL（write-ahead log）并 fsync，再应用到内存；
+ * open() 时加载快照并重放日志，日志过长时压缩为新的快照
+ *
+ * 日志记录与快照是 JSON 文档：默认的 json 编解码器直接内嵌原始值；其他编解码器的
+ * 编码结果以字符串或 base64 内嵌，并在记录/快照上标记 codec 名称
+ */
+
+import { MemoryStorage, MemoryTransaction } from './memory.js';
+import { resolveCodec, requireSerializedCodec, encodeValue, storedToJSON, storedFromJSON, jsonCodec } from './codec.js';
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const LOG_FILE = 'wal.log';
+
+/**
+ * 文件事务实现
+ * 与内存事务语义一致，提交时整个事务作为一条日志记录原子落盘
+ */
+export class FileTransaction extends MemoryTransaction {}
+
+/**
+ * 文件存储适配器实现
+ */
+export class FileStorage extends MemoryStorage {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.path - 数据目录
+   * @param {number} options.compactThreshold - 日志记录数超过该值时自动压缩，默认 1000
+   * @param {number} options.compactInterval - 定期压缩的间隔（毫秒），默认不定期压缩
+   * @param {number} options.sweepInterval - 后台清理过期键的间隔（毫秒），默认 60000，0 表示不启用
+   * @param {string|import('./codec.js').Codec} options.codec - 值编解码器，默认 'json'，必须输出文本或二进制
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) {
+      throw new Error('File storage requires a path');
+    }
+    this.codec = requireSerializedCodec(resolveCodec(options.codec, jsonCodec), 'FileStorage');
+    this.path = options.path;
+    this.compactThreshold = options.compactThreshold ?? 1000;
+    this.compactInterval = options.compactInterval;
+    // 最后一条已提交记录的序号
+    this.seq = 0;
+    // 当前日志中的记录数与已提交部分的字节长度
+    this.logRecords = 0;
+    this.logSize = 0;
+    // 日志写入失败且无法回滚时记录错误，此后拒绝所有写入
+    this.failed = null;
+    this.handle = null;
+    this.timer = null;
+    // 所有落盘操作串行执行，保证日志顺序与内存应用顺序一致
+    this.queue = Promise.resolve();
+  }
+
+  async open(options = {}) {
+    if (this.isOpen) return;
+
+    this.fs = await import('node:fs/promises');
+    const { join } = await import('node:path');
+    this.snapshotPath = join(this.path, SNAPSHOT_FILE);
+    this.logPath = join(this.path, LOG_FILE);
+
+    await this.fs.mkdir(this.path, { recursive: true });
+    this.data.clear();
+    this.expiries.clear();
+    this.sizes.clear();
+    this.bytes = 0;
+    this.sortedKeys = [];
+    this.seq = 0;
+    this.logRecords = 0;
+    this.logSize = 0;
+    this.failed = null;
+
+    await this._loadSnapshot();
+    await this._replayLog();
+
+    this.handle = await this.fs.open(this.logPath, 'a');
+    if (this.compactInterval) {
+      this.timer = setInterval(() => {
+        this.compact().catch(() => {});
+      }, this.compactInterval);
+      this.timer.unref?.();
+    }
+
+    this.isOpen = true;
+    this._startSweeper();
+  }
+
+  async close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this._stopSweeper();
+    this.feed.close();
+    await this.queue;
+    await this.handle.close();
+    this.handle = null;
+  }
+
+  async tx() {
+    this._checkOpen();
+    return new FileTransaction(this);
+  }
+
+  /**
+   * 将当前数据写成快照并清空日志
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    this._checkOpen();
+    await this._enqueue(() => this._writeSnapshot());
+  }
+
+  healthCheck() {
+    const health = super.healthCheck();
+    return this.failed ? { ...health, status: 'failed' } : health;
+  }
+
+  async _commit(ops, tx) {
+    await this._enqueue(async () => {
+      if (this.failed) {
+        throw new Error('Storage failed after a write-ahead log error and must be reopened', { cause: this.failed });
+      }
+      // 在队列内检查冲突与过期，保证检查与应用之间没有其他提交插入
+      this._checkConflicts(tx);
+      ops = this._effectiveOps(ops);
+      if (ops.length === 0) return;
+      ops = this._checkQuota(this._sizeOps(ops));
+
+      const record = this._tagCodec({ seq: this.seq + 1, ops: ops.map((op) => encodeOp(op, this.codec)) });
+      const line = `${JSON.stringify(record)}\n`;
+      try {
+        await this.handle.write(line);
+        await this.handle.sync();
+      } catch (error) {
+        await this._discardFailedWrite();
+        throw error;
+      }
+
+      this.seq = record.seq;
+      this.logSize += Buffer.byteLength(line);
+      this.logRecords++;
+      this.feed.emit(this._apply(ops));
+
+      if (this.logRecords >= this.compactThreshold) {
+        // 压缩在提交之后单独排队：提交已落盘并应用，压缩失败不应让它被拒绝，日志保留到下次压缩
+        this._enqueue(() => this._writeSnapshot()).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * 日志写入失败时记录可能已部分落盘：截回提交前的长度，避免重放时把失败的提交当作已提交；
+   * 截断也失败时磁盘状态未知，存储进入失败状态
+   */
+  async _discardFailedWrite() {
+    try {
+      await this.handle.truncate(this.logSize);
+      await this.handle.sync();
+    } catch (error) {
+      this.failed = error;
+    }
+  }
+
+  _enqueue(task) {
+    const run = this.queue.then(task);
+    // 失败的任务不阻塞后续任务
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async _loadSnapshot() {
+    let content;
+    try {
+      content = await this.fs.readFile(this.snapshotPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const snapshot = JSON.parse(content);
+    for (const [key, value, expiresAt] of snapshot.entries) {
+      this._set(key, this._restore(key, value, snapshot.codec), expiresAt ?? undefined);
+    }
+    this.seq = snapshot.seq;
+  }
+
+  async _replayLog() {
+    let content;
+    try {
+      content = await this.fs.readFile(this.logPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = content.split('\n');
+    let validLength = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line === '') continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // 最后一条记录可能在写入过程中崩溃而不完整，丢弃即可；中间记录损坏则无法恢复
+        if (i === lines.length - 1) break;
+        throw new Error(`Corrupted write-ahead log at line ${i + 1}`);
+      }
+
+      validLength += Buffer.byteLength(line) + 1;
+      // 快照之后崩溃、日志未及清空时，跳过已包含在快照中的记录
+      if (record.seq <= this.seq) continue;
+      this._apply(record.ops.map((op) => decodeOp(op, (key, value) => this._restore(key, value, record.codec))));
+      this.seq = record.seq;
+      this.logRecords++;
+    }
+
+    // 截掉不完整的尾部记录，避免新记录追加在半行之后
+    if (validLength < Buffer.byteLength(content)) {
+      await this.fs.truncate(this.logPath, validLength);
+    }
+    this.logSize = validLength;
+  }
+
+  async _writeSnapshot() {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const entries = Array.from(this.data.entries(), ([key, stored]) => {
+      const value = storedToJSON(this.codec, stored);
+      return this.expiries.has(key) ? [key, value, this.expiries.get(key)] : [key, value];
+    });
+    const snapshot = this._tagCodec({ seq: this.seq, entries });
+
+    const tmp = await this.fs.open(tmpPath, 'w');
+    try {
+      await tmp.write(JSON.stringify(snapshot));
+      await tmp.sync();
+    } finally {
+      await tmp.close();
+    }
+    await this.fs.rename(tmpPath, this.snapshotPath);
+    await this._syncDirectory();
+
+    await this.handle.truncate(0);
+    await this.handle.sync();
+    this.logRecords = 0;
+    this.logSize = 0;
+  }
+
+  /**
+   * 非 json 编解码器写入的记录/快照需要标记 codec，json 保持与旧版本一致的格式
+   */
+  _tagCodec(document) {
+    return this.codec === jsonCodec ? document : { ...document, codec: this.codec.name };
+  }
+
+  /**
+   * 把日志/快照中内嵌的值还原为当前编解码器的存储形式
+   * 未标记 codec 的数据是原始 JSON 值，可以用任何编解码器重新编码
+   * @param {string} key - 键
+   * @param {any} value - 内嵌的值
+   * @param {string} codec - 写入时使用的编解码器名称，未标记时为 undefined
+   */
+  _restore(key, value, codec = jsonCodec.name) {
+    if (codec === this.codec.name) return storedFromJSON(this.codec, value);
+    if (codec === jsonCodec.name) return encodeValue(this.codec, key, value);
+    throw new Error(`Data in '${this.path}' was written with the '${codec}' codec and cannot be read with '${this.codec.name}'`);
+  }
+
+  async _syncDirectory() {
+    // 部分平台不支持对目录 fsync，忽略即可
+    let dir;
+    try {
+      dir = await this.fs.open(this.path, 'r');
+      await dir.sync();
+    } catch (error) {
+      // ignore
+    } finally {
+      await dir?.close();
+    }
+  }
+}
+
+function encodeOp(op, codec) {
+  if (op.type === 'del') return { t: 'del', k: op.key };
+  const v = storedToJSON(codec, op.value);
+  return op.expiresAt === undefined ? { t: 'put', k: op.key, v } : { t: 'put', k: op.key, v, e: op.expiresAt };
+}
+
+function decodeOp(op, restore) {
+  return op.t === 'del' ? { type: 'del', key: op.k } : { type: 'put', key: op.k, value: restore(op.k, op.v), expiresAt: op.e };
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { IStorage, ITransaction, createStorage, MemoryStorage, MemoryTransaction, IndexedDBStorage, IndexedDBTransaction } from './index.js';
+import { IStorage, ITransaction, createStorage, MemoryStorage, MemoryTransaction, IndexedDBStorage, TransactionConflictError } from './index.js';
 
 describe('IStorage Interface', () => {
   let storage;
@@ -247,28 +247,14 @@ describe('createStorage', () => {
 });
 
 describe('IndexedDBStorage', () => {
-  it('should throw error for all operations (stub implementation)', () => {
-    const storage = new IndexedDBStorage();
-    
-    expect(storage.open()).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(storage.close()).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(storage.get('key')).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(storage.put('key', 'value')).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(storage.del('key')).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(storage.scan()).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(storage.tx()).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-  });
-});
+  it('should require an IndexedDB implementation', async () => {
+    const storage = new IndexedDBStorage({ indexedDB: null, IDBKeyRange: null });
 
-describe('IndexedDBTransaction', () => {
-  it('should throw error for all operations (stub implementation)', () => {
-    const tx = new IndexedDBTransaction();
-    
-    expect(tx.get('key')).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(tx.put('key', 'value')).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(tx.del('key')).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(tx.commit()).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
-    expect(tx.rollback()).rejects.toThrow('IndexedDB is not supported in this environment. This is a stub implementation.');
+    await expect(storage.open()).rejects.toThrow('IndexedDB is not available in this environment; pass options.indexedDB and options.IDBKeyRange');
+    await expect(storage.get('key')).rejects.toThrow('Storage is not open');
+    await expect(storage.put('key', 'value')).rejects.toThrow('Storage is not open');
+    await expect(storage.scan()).rejects.toThrow('Storage is not open');
+    await expect(storage.tx()).rejects.toThrow('Storage is not open');
   });
 });
 
@@ -345,6 +331,14 @@ describe('MemoryStorage', () => {
     await expect(storage.scan()).rejects.toThrow('Storage is not open');
     await expect(storage.tx()).rejects.toThrow('Storage is not open');
   });
+  
+  it('should report open state and key count in healthCheck', async () => {
+    await storage.put('key1', 'value1');
+    expect(storage.healthCheck()).toEqual({ status: 'ok', open: true, keys: 1 });
+    
+    await storage.close();
+    expect(storage.healthCheck()).toEqual({ status: 'failed', open: false, keys: 1 });
+  });
 });
 
 describe('MemoryTransaction', () => {
@@ -484,9 +478,9 @@ describe('MemoryTransaction', () => {
     await tx1.commit();
     expect(await storage.get('key1')).toBe('tx1-value');
     
-    // 提交 tx2，会覆盖 tx1 的修改
-    await tx2.commit();
-    expect(await storage.get('key1')).toBe('tx2-value');
+    // 提交 tx2，key1 已被 tx1 修改，检测到冲突，不会覆盖 tx1 的修改
+    await expect(tx2.commit()).rejects.toThrow(TransactionConflictError);
+    expect(await storage.get('key1')).toBe('tx1-value');
   });
 
   it('should handle transaction with multiple operations on same key', async () => {
@@ -580,12 +574,12 @@ describe('MemoryTransaction', () => {
     expect(await tx2.get('key1')).toBe('original1');
     expect(await tx2.get('key2')).toBe('tx2-value2');
     
-    // 提交 tx2
-    await tx2.commit();
+    // tx2 读过 key1，而 key1 已被 tx1 修改，提交时检测到冲突，tx2 的修改都不会应用
+    await expect(tx2.commit()).rejects.toThrow("Transaction conflict on key 'key1'");
     expect(await storage.get('key1')).toBe('tx1-value1');
-    expect(await storage.get('key2')).toBe('tx2-value2');
+    expect(await storage.get('key2')).toBe('original2');
     expect(await storage.get('key3')).toBe('tx1-new');
-    expect(await storage.get('key4')).toBe('tx2-new');
+    expect(await storage.get('key4')).toBe(null);
   });
 
   it('should handle transaction rollback after partial operations', async () => {
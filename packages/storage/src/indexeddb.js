@@ -0,0 +1,545 @@
+/**
+ * IndexedDB 存储适配器
+ * 基于标准 IndexedDB API：每个命名空间（options.store）对应数据库中的一个对象存储，
+ * 键为字符串主键，范围扫描使用按键排序的游标
+ *
+ * 记录格式为 {v, e, r, c}：v 为编解码器编码后的值，e 为过期时间戳（不过期时省略，
+ * 对象存储上的 expires 索引只收录设置了 e 的记录），r 为每次写入生成的修订号，用于事务冲突检测，
+ * c 为编解码器名称（默认的 structured 省略）
+ *
+ * indexedDB 与 IDBKeyRange 默认取自全局对象，也可以通过选项注入（例如 Node 中的 fake-indexeddb）
+ */
+
+import { IStorage, ITransaction, resolveScanOptions, collectPage, validateBatch, resolveExpiry } from './interface.js';
+import { TransactionConflictError } from './errors.js';
+import { ChangeFeed } from './watch.js';
+import { resolveCodec, encodeValue, decodeValue, structuredCodec } from './codec.js';
+
+const EXPIRY_INDEX = 'expires';
+
+/**
+ * 计算前缀的上界：所有以 prefix 开头的键都严格小于它
+ * IndexedDB 与 JS 一样按 UTF-16 码元比较字符串，把最后一个可递增的码元加一即可
+ * @param {string} prefix - 前缀
+ * @returns {string|undefined} 上界，无法递增时返回 undefined
+ */
+function prefixUpperBound(prefix) {
+  for (let i = prefix.length - 1; i >= 0; i--) {
+    const code = prefix.charCodeAt(i);
+    if (code < 0xffff) {
+      return prefix.slice(0, i) + String.fromCharCode(code + 1);
+    }
+  }
+  return undefined;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction was aborted'));
+  });
+}
+
+/**
+ * 逐条访问游标，visit 返回 false 时提前结束
+ * visit 同步执行，保证游标推进期间 IndexedDB 事务保持活动
+ */
+function forEachCursor(request, visit) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      try {
+        if (!cursor || visit(cursor) === false) {
+          resolve();
+          return;
+        }
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function isExpired(record, now = Date.now()) {
+  return record.e !== undefined && record.e <= now;
+}
+
+function isLive(record, now) {
+  return record !== undefined && record !== null && !isExpired(record, now);
+}
+
+/**
+ * IndexedDB 事务实现
+ * IDBTransaction 在没有待处理请求时会自动提交，无法跨越任意的 await 保持打开，
+ * 因此写操作先在事务内缓冲，commit() 时在一个 readwrite IDBTransaction 中原子执行；
+ * 读取的记录会被记住（同一事务内重复读取结果一致），提交时若其修订号已变化则抛出 TransactionConflictError
+ */
+export class IndexedDBTransaction extends ITransaction {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+    this.changes = new Map();
+    this.expiries = new Map();
+    // 键 -> 读取到的记录（不存在或已过期时为 null）
+    this.reads = new Map();
+    this.isCommitted = false;
+    this.isRolledBack = false;
+  }
+
+  async get(key) {
+    this._checkState();
+
+    if (this.changes.has(key)) {
+      const stored = this.changes.get(key);
+      return stored === undefined ? null : decodeValue(this.storage.codec, key, stored);
+    }
+
+    if (!this.reads.has(key)) {
+      this.reads.set(key, await this.storage._readRecord(key));
+    }
+    const record = this.reads.get(key);
+    return record ? this.storage._decode(key, record) : null;
+  }
+
+  async put(key, value, options = {}) {
+    this._checkState();
+    // 立即编码为存储形式，之后修改原对象不会影响提交的值
+    this.changes.set(key, encodeValue(this.storage.codec, key, value));
+    this.expiries.set(key, resolveExpiry(options));
+  }
+
+  async del(key) {
+    this._checkState();
+    this.changes.set(key, undefined);
+  }
+
+  async commit() {
+    this._checkState();
+
+    const ops = [];
+    for (const [key, value] of this.changes.entries()) {
+      ops.push(value === undefined ? { type: 'del', key } : { type: 'put', key, value, expiresAt: this.expiries.get(key) });
+    }
+    await this.storage._commit(ops, this);
+
+    this.isCommitted = true;
+  }
+
+  async rollback() {
+    this._checkState();
+    this.changes.clear();
+    this.isRolledBack = true;
+  }
+
+  _checkState() {
+    if (this.isCommitted) {
+      throw new Error('Transaction has already been committed');
+    }
+    if (this.isRolledBack) {
+      throw new Error('Transaction has already been rolled back');
+    }
+    this.storage._checkOpen();
+  }
+}
+
+/**
+ * IndexedDB 存储适配器实现
+ * watch() 只能观察到本实例提交的变更，其他标签页或连接的写入不会出现在变更流中
+ */
+export class IndexedDBStorage extends IStorage {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {IDBFactory} options.indexedDB - IndexedDB 工厂，默认 globalThis.indexedDB
+   * @param {Function} options.IDBKeyRange - 与 indexedDB 配套的 IDBKeyRange，默认 globalThis.IDBKeyRange
+   * @param {string} options.name - 数据库名，默认 'lfde-storage'
+   * @param {string} options.store - 命名空间，即对象存储名，默认 'kv'；首次打开新的命名空间时会升级数据库版本
+   * @param {number} options.sweepInterval - 后台清理过期键的间隔（毫秒），默认 60000，0 表示不启用
+   * @param {string|import('./codec.js').Codec} options.codec - 值编解码器，默认 'structured'
+   */
+  constructor(options = {}) {
+    super();
+    if (options.maxBytes !== undefined) {
+      // 浏览器按源（origin）管理配额，超出时写入以 QuotaExceededError（DOMException）失败
+      throw new Error('IndexedDBStorage does not support maxBytes');
+    }
+    this.indexedDB = options.indexedDB ?? globalThis.indexedDB;
+    this.IDBKeyRange = options.IDBKeyRange ?? globalThis.IDBKeyRange;
+    this.name = options.name ?? 'lfde-storage';
+    this.store = options.store ?? 'kv';
+    this.codec = resolveCodec(options.codec, structuredCodec);
+    if (typeof this.store !== 'string' || this.store === '') {
+      throw new Error(`Invalid IndexedDB store name '${this.store}'`);
+    }
+    this.sweepInterval = options.sweepInterval ?? 60000;
+    this.sweeper = null;
+    // 数据库连接的 Promise；其他连接升级版本时连接被关闭，之后的操作重新连接
+    this.connection = null;
+    // 本实例的提交版本号，同一次提交的变更共享同一个 version
+    this.version = 0;
+    this.revision = 0;
+    this.writer = Math.random().toString(36).slice(2);
+    this.feed = new ChangeFeed();
+    this.isOpen = false;
+  }
+
+  async open(options = {}) {
+    if (this.isOpen) return;
+    if (!this.indexedDB || !this.IDBKeyRange) {
+      throw new Error('IndexedDB is not available in this environment; pass options.indexedDB and options.IDBKeyRange');
+    }
+
+    await this._connect();
+    this.isOpen = true;
+
+    if (this.sweepInterval > 0) {
+      this.sweeper = setInterval(() => {
+        this.sweep().catch(() => {});
+      }, this.sweepInterval);
+      this.sweeper.unref?.();
+    }
+  }
+
+  async close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+    this.feed.close();
+    const connection = this.connection;
+    this.connection = null;
+    (await connection?.catch(() => null))?.close();
+  }
+
+  async get(key) {
+    this._checkOpen();
+    const record = await this._readRecord(key);
+    return record ? this._decode(key, record) : null;
+  }
+
+  async put(key, value, options = {}) {
+    this._checkOpen();
+    await this._commit(this._encodeOps([{ type: 'put', key, value, expiresAt: resolveExpiry(options) }]));
+  }
+
+  async del(key) {
+    this._checkOpen();
+    const changes = await this._commit([{ type: 'del', key }]);
+    return changes.length > 0;
+  }
+
+  async scan(options = {}) {
+    this._checkOpen();
+    const resolved = resolveScanOptions(options);
+    const { reverse = false, offset = 0, limit } = resolved;
+    const range = this._keyRange(resolved);
+    if (range === null) {
+      return collectPage(() => undefined, resolved);
+    }
+
+    const wanted = limit === undefined ? Infinity : offset + limit;
+    const entries = [];
+    const expired = [];
+    const now = Date.now();
+    const store = await this._objectStore('readonly');
+    await forEachCursor(store.openCursor(range, reverse ? 'prev' : 'next'), (cursor) => {
+      if (isExpired(cursor.value, now)) {
+        expired.push(cursor.key);
+      } else {
+        entries.push({ key: cursor.key, value: this._decode(cursor.key, cursor.value) });
+      }
+      return entries.length < wanted;
+    });
+    this._reapLater(expired);
+
+    let index = 0;
+    return collectPage(() => entries[index++], resolved);
+  }
+
+  async tx() {
+    this._checkOpen();
+    return new IndexedDBTransaction(this);
+  }
+
+  async batch(ops) {
+    this._checkOpen();
+    validateBatch(ops);
+    await this._commit(this._encodeOps(ops.map((op) => (op.type === 'del'
+      ? { type: 'del', key: op.key }
+      : { type: 'put', key: op.key, value: op.value, expiresAt: resolveExpiry(op) }))));
+  }
+
+  /**
+   * 立即删除所有已过期的键，后台清理器定期调用
+   * @returns {Promise<number>} 删除的键数
+   */
+  async sweep() {
+    this._checkOpen();
+    const db = await this._connect();
+    const transaction = db.transaction(this.store, 'readwrite');
+    const done = transactionDone(transaction);
+    const index = transaction.objectStore(this.store).index(EXPIRY_INDEX);
+    const changes = [];
+    const version = this.version + 1;
+
+    await forEachCursor(index.openCursor(this.IDBKeyRange.upperBound(Date.now())), (cursor) => {
+      changes.push({ type: 'expire', key: cursor.primaryKey, value: null, oldValue: this._decode(cursor.primaryKey, cursor.value), version });
+      cursor.delete();
+    });
+    await done;
+
+    if (changes.length > 0) {
+      this.version = version;
+      this.feed.emit(changes);
+    }
+    return changes.length;
+  }
+
+  /**
+   * 订阅本实例提交后的变更，每条变更为 {type: 'put'|'del'|'expire', key, value, oldValue, version}，
+   * 多条变更的提交合并为一个 {type: 'batch', version, changes} 事件，见 IStorage.watch
+   * @param {Object} options - 与 scan 相同的 prefix/gt/gte/lt/lte 过滤条件
+   * @param {Function} callback - 变更回调；省略时返回异步迭代器
+   * @returns {Function|AsyncIterableIterator<Object>} 取消订阅的函数，或变更的异步迭代器
+   */
+  watch(options = {}, callback) {
+    if (callback) {
+      return this.feed.subscribe(options, callback);
+    }
+    return this.feed.iterate(options);
+  }
+
+  /**
+   * 健康检查，供 core.health() 调用
+   * @returns {{status: string, open: boolean}}
+   */
+  healthCheck() {
+    return { status: this.isOpen ? 'ok' : 'failed', open: this.isOpen };
+  }
+
+  /**
+   * 读取一条未过期的记录，发现过期记录时在后台清理
+   * @returns {Promise<Object|null>}
+   */
+  async _readRecord(key) {
+    const store = await this._objectStore('readonly');
+    const record = await requestResult(store.get(key));
+    if (record === undefined) return null;
+    if (isExpired(record)) {
+      this._reapLater([key]);
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * 在一个 readwrite IDBTransaction 中原子地执行一组写操作
+   * 先读取涉及的记录（用于冲突检测与变更的 oldValue），再写入；出错时中止事务，不应用任何更改
+   * @param {Array<{type: 'put'|'del', key: string, value?: any, expiresAt?: number, expired?: boolean}>} ops - 写操作，put 的值已编码为存储形式，参见 _encodeOps
+   * @param {IndexedDBTransaction} tx - 提交这些操作的事务，用于冲突检测；直接写入时为空
+   * @returns {Promise<Array<Object>>} 实际发生的变更
+   */
+  async _commit(ops, tx) {
+    if (ops.length === 0 && !(tx?.reads.size > 0)) return [];
+
+    const db = await this._connect();
+    const transaction = db.transaction(this.store, 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore(this.store);
+    const version = this.version + 1;
+    const changes = [];
+
+    try {
+      const keys = new Set(ops.map((op) => op.key));
+      for (const key of tx?.reads.keys() ?? []) keys.add(key);
+      const records = new Map();
+      for (const key of keys) {
+        records.set(key, await requestResult(store.get(key)));
+      }
+
+      const now = Date.now();
+      for (const [key, read] of tx?.reads ?? []) {
+        const current = records.get(key);
+        if ((isLive(current, now) ? current.r : null) !== (read?.r ?? null)) {
+          throw new TransactionConflictError(key);
+        }
+      }
+
+      for (const op of ops) {
+        const current = records.get(op.key);
+        if (op.type === 'del') {
+          // 过期清理排队期间键可能已被重新写入
+          if (current === undefined || (op.expired && !isExpired(current, now))) continue;
+          store.delete(op.key);
+          records.set(op.key, undefined);
+          if (op.expired) {
+            changes.push({ type: 'expire', key: op.key, value: null, oldValue: this._decode(op.key, current), version });
+          } else if (isLive(current, now)) {
+            changes.push({ type: 'del', key: op.key, value: null, oldValue: this._decode(op.key, current), version });
+          }
+          continue;
+        }
+
+        const record = { v: op.value, r: `${this.writer}:${++this.revision}` };
+        if (op.expiresAt !== undefined) record.e = op.expiresAt;
+        if (this.codec !== structuredCodec) record.c = this.codec.name;
+        store.put(record, op.key);
+        records.set(op.key, record);
+        changes.push({
+          type: 'put',
+          key: op.key,
+          value: this.codec.decode(record.v),
+          oldValue: isLive(current, now) ? this._decode(op.key, current) : null,
+          version
+        });
+      }
+    } catch (error) {
+      done.catch(() => {});
+      transaction.abort();
+      throw error;
+    }
+
+    await done;
+    if (changes.length > 0) {
+      this.version = version;
+      this.feed.emit(changes);
+    }
+    return changes;
+  }
+
+  /**
+   * 把 put 操作的值编码为记录的存储形式，编码失败时整个提交不生效
+   */
+  _encodeOps(ops) {
+    return ops.map((op) => (op.type === 'put' ? { ...op, value: encodeValue(this.codec, op.key, op.value) } : op));
+  }
+
+  /**
+   * 解码记录中的值，记录必须由同一个编解码器写入
+   */
+  _decode(key, record) {
+    if ((record.c ?? structuredCodec.name) !== this.codec.name) {
+      throw new Error(`Cannot decode value for key '${key}' with the '${this.codec.name}' codec`);
+    }
+    return decodeValue(this.codec, key, record.v);
+  }
+
+  /**
+   * 以一次提交删除过期键，产生 expire 变更
+   * @param {string[]} keys - 过期的键
+   */
+  async _reap(keys) {
+    if (keys.length === 0) return;
+    await this._commit(keys.map((key) => ({ type: 'del', key, expired: true })));
+  }
+
+  /**
+   * 读取路径上发现的过期键在后台清理，不阻塞读取
+   */
+  _reapLater(keys) {
+    if (keys.length === 0 || !this.isOpen) return;
+    this._reap(keys).catch(() => {});
+  }
+
+  /**
+   * 把 prefix/gt/gte/lt/lte 合并为一个 IDBKeyRange
+   * @returns {IDBKeyRange|undefined|null} 无边界时为 undefined，范围为空时为 null
+   */
+  _keyRange({ prefix = '', gt, gte, lt, lte }) {
+    let lower = prefix === '' ? undefined : prefix;
+    let lowerOpen = false;
+    if (gte !== undefined && (lower === undefined || gte > lower)) {
+      lower = gte;
+      lowerOpen = false;
+    }
+    if (gt !== undefined && (lower === undefined || gt >= lower)) {
+      lower = gt;
+      lowerOpen = true;
+    }
+
+    let upper = prefix === '' ? undefined : prefixUpperBound(prefix);
+    let upperOpen = true;
+    if (lte !== undefined && (upper === undefined || lte < upper)) {
+      upper = lte;
+      upperOpen = false;
+    }
+    if (lt !== undefined && (upper === undefined || lt <= upper)) {
+      upper = lt;
+      upperOpen = true;
+    }
+
+    if (lower !== undefined && upper !== undefined) {
+      if (lower > upper || (lower === upper && (lowerOpen || upperOpen))) return null;
+      return this.IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+    }
+    if (lower !== undefined) return this.IDBKeyRange.lowerBound(lower, lowerOpen);
+    if (upper !== undefined) return this.IDBKeyRange.upperBound(upper, upperOpen);
+    return undefined;
+  }
+
+  async _objectStore(mode) {
+    const db = await this._connect();
+    return db.transaction(this.store, mode).objectStore(this.store);
+  }
+
+  _connect() {
+    if (!this.connection) {
+      this.connection = this._openDatabase();
+      this.connection.catch(() => {
+        this.connection = null;
+      });
+    }
+    return this.connection;
+  }
+
+  /**
+   * 打开数据库，命名空间对应的对象存储不存在时升级版本创建它
+   * 多个连接同时升级时较晚的一方会遇到 VersionError，重新打开即可
+   */
+  async _openDatabase() {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        let db = await this._openRequest();
+        if (!db.objectStoreNames.contains(this.store)) {
+          const version = db.version + 1;
+          db.close();
+          db = await this._openRequest(version);
+        }
+        db.onversionchange = () => {
+          db.close();
+          this.connection = null;
+        };
+        return db;
+      } catch (error) {
+        if (error?.name !== 'VersionError' || attempt >= 3) throw error;
+      }
+    }
+  }
+
+  _openRequest(version) {
+    const request = version === undefined ? this.indexedDB.open(this.name) : this.indexedDB.open(this.name, version);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(this.store)) {
+        db.createObjectStore(this.store).createIndex(EXPIRY_INDEX, 'e');
+      }
+    };
+    return requestResult(request);
+  }
+
+  _checkOpen() {
+    if (!this.isOpen) {
+      throw new Error('Storage is not open');
+    }
+  }
+}
@@ -0,0 +1,696 @@
+/**
+ * 存储接口定义
+ * IStorage/ITransaction 契约、命名空间视图 SubStorage/SubTransaction，以及各适配器共用的辅助函数
+ */
+
+import { TransactionConflictError } from './errors.js';
+
+/**
+ * 基础存储接口
+ * @interface IStorage
+ */
+export class IStorage {
+  /**
+   * 打开存储连接
+   * @param {Object} options - 配置选项
+   * @returns {Promise<void>}
+   */
+  async open(options = {}) {
+    throw new Error('open method must be implemented');
+  }
+
+  /**
+   * 关闭存储连接
+   * @returns {Promise<void>}
+   */
+  async close() {
+    throw new Error('close method must be implemented');
+  }
+
+  /**
+   * 获取值
+   * @param {string} key - 键
+   * @returns {Promise<any|null>} 值，如果不存在则返回 null
+   */
+  async get(key) {
+    throw new Error('get method must be implemented');
+  }
+
+  /**
+   * 设置值
+   * @param {string} key - 键
+   * @param {any} value - 值
+   * @param {Object} options - 写入选项
+   * @param {number} options.ttl - 存活时间（毫秒），过期后 get/scan 不再可见
+   * @param {number|Date} options.expiresAt - 过期时间点，与 ttl 二选一
+   * @returns {Promise<void>}
+   */
+  async put(key, value, options = {}) {
+    throw new Error('put method must be implemented');
+  }
+
+  /**
+   * 删除键
+   * @param {string} key - 键
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async del(key) {
+    throw new Error('del method must be implemented');
+  }
+
+  /**
+   * 扫描键，结果按键的字典序排列
+   * @param {Object} options - 扫描选项
+   * @param {string} options.prefix - 键前缀
+   * @param {string} options.gt - 键必须大于该值
+   * @param {string} options.gte - 键必须大于等于该值
+   * @param {string} options.lt - 键必须小于该值
+   * @param {string} options.lte - 键必须小于等于该值
+   * @param {boolean} options.reverse - 是否按逆序返回
+   * @param {number} options.offset - 跳过的条目数
+   * @param {number} options.limit - 限制数量
+   * @param {string} options.cursor - 上一页结果的 cursor，从其后继续扫描
+   * @returns {Promise<Array<{key: string, value: any}>>} 结果数组；数组的 cursor 属性为下一页的游标，没有更多结果时为 null
+   */
+  async scan(options = {}) {
+    throw new Error('scan method must be implemented');
+  }
+
+  /**
+   * 以异步迭代器的形式扫描键，按页调用 scan()，避免一次性物化全部结果
+   * 适配器可以覆盖此方法提供更高效的实现
+   * @param {Object} options - 与 scan 相同的选项
+   * @param {number} options.pageSize - 每页条目数，默认 100
+   * @returns {AsyncIterableIterator<{key: string, value: any}>}
+   */
+  async *iterate(options = {}) {
+    const { limit, pageSize = 100, ...rest } = options;
+    let remaining = limit === undefined ? Infinity : limit;
+    let { cursor, offset } = rest;
+
+    while (remaining > 0) {
+      const page = await this.scan({ ...rest, offset, cursor, limit: Math.min(pageSize, remaining) });
+      for (const entry of page) {
+        yield entry;
+      }
+      remaining -= page.length;
+      if (!page.cursor) break;
+      cursor = page.cursor;
+      offset = undefined;
+    }
+  }
+
+  /**
+   * 开始事务
+   * @returns {Promise<ITransaction>} 事务对象
+   */
+  async tx() {
+    throw new Error('tx method must be implemented');
+  }
+
+  /**
+   * 原子地批量写入：要么全部生效，要么全部不生效，所有变更在同一次提交中发出
+   * 默认实现经由事务提交，适配器可以覆盖此方法提供更高效的实现
+   * @param {Array<{type: 'put'|'del', key: string, value?: any, ttl?: number, expiresAt?: number|Date}>} ops - 写操作，按顺序应用
+   * @returns {Promise<void>}
+   */
+  async batch(ops) {
+    validateBatch(ops);
+    const tx = await this.tx();
+    for (const op of ops) {
+      if (op.type === 'del') {
+        await tx.del(op.key);
+      } else {
+        await tx.put(op.key, op.value, { ttl: op.ttl, expiresAt: op.expiresAt });
+      }
+    }
+    await tx.commit();
+  }
+
+  /**
+   * 订阅已提交的变更（put/del/事务提交/过期清理），每条变更为 {type: 'put'|'del'|'expire', key, value, oldValue, version}
+   * 每次提交只发出一个事件：只有一条变更时就是该变更；包含多条变更的提交（batch、事务、批量过期清理）
+   * 发出 {type: 'batch', version, changes}，changes 只含订阅范围内的变更；可以用 changesOf(event) 统一取出变更
+   * @param {Object} options - 与 scan 相同的 prefix/gt/gte/lt/lte 过滤条件
+   * @param {Function} callback - 变更回调；省略时返回异步迭代器
+   * @returns {Function|AsyncIterableIterator<Object>} 取消订阅的函数，或变更的异步迭代器
+   */
+  watch(options = {}, callback) {
+    throw new Error('watch method must be implemented');
+  }
+
+  /**
+   * 返回命名空间视图：键自动加上 `${name}:` 前缀，scan/watch 限定在该命名空间内
+   * 视图可以继续嵌套 sub()，与父存储共享数据和生命周期
+   * @param {string} name - 命名空间，不能为空或包含 ':'
+   * @returns {SubStorage}
+   */
+  sub(name) {
+    return new SubStorage(this, name);
+  }
+
+  /**
+   * 统计存储占用，字节数为估算值（键与 JSON 序列化后的值的 UTF-8 长度之和）
+   * 默认实现遍历全部条目，适配器可以覆盖此方法提供更高效的实现
+   * @returns {Promise<StorageStats>}
+   */
+  async stats() {
+    const sizes = async function* (entries) {
+      for await (const { key, value } of entries) {
+        yield [key, estimateSize(key, value)];
+      }
+    };
+    return summarizeSizes(sizes(this.iterate()), this.maxBytes);
+  }
+
+  /**
+   * 在事务中执行 fn 并提交，遇到 TransactionConflictError 时以新事务重试
+   * fn 可能被执行多次，不应包含事务之外的副作用
+   * @param {Function} fn - 接收事务对象的（异步）函数，其返回值作为结果
+   * @param {Object} options - 选项
+   * @param {number} options.retries - 冲突后的最大重试次数，默认 3
+   * @returns {Promise<any>} fn 的返回值
+   */
+  async runTransaction(fn, options = {}) {
+    const { retries = 3 } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      const tx = await this.tx();
+      let result;
+      try {
+        result = await fn(tx);
+      } catch (error) {
+        await tx.rollback().catch(() => {});
+        throw error;
+      }
+
+      try {
+        await tx.commit();
+        return result;
+      } catch (error) {
+        // 提交失败的事务仍需结束，释放其快照
+        await tx.rollback().catch(() => {});
+        if (error instanceof TransactionConflictError && attempt < retries) continue;
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * 事务接口
+ * @interface ITransaction
+ */
+export class ITransaction {
+  /**
+   * 获取值
+   * @param {string} key - 键
+   * @returns {Promise<any|null>} 值，如果不存在则返回 null
+   */
+  async get(key) {
+    throw new Error('get method must be implemented');
+  }
+
+  /**
+   * 设置值
+   * @param {string} key - 键
+   * @param {any} value - 值
+   * @param {Object} options - 写入选项，与 IStorage.put 相同
+   * @returns {Promise<void>}
+   */
+  async put(key, value, options = {}) {
+    throw new Error('put method must be implemented');
+  }
+
+  /**
+   * 删除键
+   * @param {string} key - 键
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async del(key) {
+    throw new Error('del method must be implemented');
+  }
+
+  /**
+   * 提交事务
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    throw new Error('commit method must be implemented');
+  }
+
+  /**
+   * 回滚事务
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    throw new Error('rollback method must be implemented');
+  }
+
+  /**
+   * 返回事务的命名空间视图，通过视图的读写属于同一个事务
+   * @param {string} name - 命名空间
+   * @returns {SubTransaction}
+   */
+  sub(name) {
+    return new SubTransaction(this, namespacePrefix(name));
+  }
+}
+
+const NAMESPACE_SEPARATOR = ':';
+
+function namespacePrefix(name) {
+  if (typeof name !== 'string' || name === '' || name.includes(NAMESPACE_SEPARATOR)) {
+    throw new Error(`Invalid sub-storage name '${name}'`);
+  }
+  return `${name}${NAMESPACE_SEPARATOR}`;
+}
+
+/**
+ * 把命名空间内的 scan/watch 选项映射为父存储中的选项
+ */
+function prefixRange(prefix, options) {
+  const { prefix: innerPrefix = '', gt, gte, lt, lte, ...rest } = options;
+  const mapped = { ...rest, prefix: prefix + innerPrefix };
+  if (gt !== undefined) mapped.gt = prefix + gt;
+  if (gte !== undefined) mapped.gte = prefix + gte;
+  if (lt !== undefined) mapped.lt = prefix + lt;
+  if (lte !== undefined) mapped.lte = prefix + lte;
+  return mapped;
+}
+
+/**
+ * 事务的命名空间视图
+ */
+export class SubTransaction extends ITransaction {
+  constructor(parent, prefix) {
+    super();
+    this.parent = parent;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    return this.parent.get(this.prefix + key);
+  }
+
+  async put(key, value, options = {}) {
+    return this.parent.put(this.prefix + key, value, options);
+  }
+
+  async del(key) {
+    return this.parent.del(this.prefix + key);
+  }
+
+  async commit() {
+    await this.parent.commit();
+  }
+
+  async rollback() {
+    await this.parent.rollback();
+  }
+}
+
+/**
+ * 存储的命名空间视图
+ * 不拥有父存储的生命周期：open/close 不做任何事，父存储关闭后视图同样不可用
+ */
+export class SubStorage extends IStorage {
+  /**
+   * @param {IStorage} parent - 父存储（可以是另一个 SubStorage）
+   * @param {string} name - 命名空间
+   */
+  constructor(parent, name) {
+    super();
+    this.parent = parent;
+    this.name = name;
+    this.prefix = namespacePrefix(name);
+  }
+
+  async open(options = {}) {}
+
+  async close() {}
+
+  async get(key) {
+    return this.parent.get(this.prefix + key);
+  }
+
+  async put(key, value, options = {}) {
+    return this.parent.put(this.prefix + key, value, options);
+  }
+
+  async del(key) {
+    return this.parent.del(this.prefix + key);
+  }
+
+  async scan(options = {}) {
+    // 游标在视图内按去掉前缀的键编码，先在视图内解析为范围边界
+    const resolved = resolveScanOptions(options);
+    const page = await this.parent.scan(prefixRange(this.prefix, resolved));
+    const results = page.map(({ key, value }) => ({ key: key.slice(this.prefix.length), value }));
+
+    const last = results[results.length - 1];
+    const cursor = page.cursor && last ? encodeCursor(last.key, Boolean(resolved.reverse)) : null;
+    Object.defineProperty(results, 'cursor', { value: cursor, enumerable: false });
+    return results;
+  }
+
+  async tx() {
+    return new SubTransaction(await this.parent.tx(), this.prefix);
+  }
+
+  async batch(ops) {
+    validateBatch(ops);
+    await this.parent.batch(ops.map((op) => ({ ...op, key: this.prefix + op.key })));
+  }
+
+  watch(options = {}, callback) {
+    const mapped = prefixRange(this.prefix, options);
+    const stripKey = (change) => ({ ...change, key: change.key.slice(this.prefix.length) });
+    const strip = (event) => (event.type === 'batch' ? { ...event, changes: event.changes.map(stripKey) } : stripKey(event));
+
+    if (callback) {
+      return this.parent.watch(mapped, (change) => callback(strip(change)));
+    }
+
+    const source = this.parent.watch(mapped);
+    return {
+      async next() {
+        const result = await source.next();
+        return result.done ? result : { value: strip(result.value), done: false };
+      },
+      return() {
+        return source.return();
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  healthCheck() {
+    return this.parent.healthCheck?.() ?? { status: 'ok' };
+  }
+}
+
+/**
+ * 存储占用统计
+ * @typedef {Object} StorageStats
+ * @property {number} keys - 键数
+ * @property {number} bytes - 估算的总字节数
+ * @property {number|null} maxBytes - 配额上限，未设置时为 null
+ * @property {Object<string, {keys: number, bytes: number}>} prefixes - 按第一段命名空间（如 'users:'）分组的统计，
+ *   不含 ':' 的键归入 ''
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 估算一个条目占用的字节数：键与 JSON 序列化后的值的 UTF-8 长度之和
+ * JSON 无法表示的值也按其内容估算而不抛出：BigInt 按十进制位数，Map/Set 按其中的键值，
+ * 二进制数据按字节长度；指回祖先的循环引用不计入
+ * @param {string} key - 键
+ * @param {any} value - 值
+ * @returns {number}
+ */
+export function estimateSize(key, value) {
+  return textEncoder.encode(key).length + estimateValueSize(value, new Set());
+}
+
+/**
+ * 按 JSON 序列化的形式估算值的字节数，undefined、函数与 symbol 计为 0
+ */
+function estimateValueSize(value, seen) {
+  switch (typeof value) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      return textEncoder.encode(JSON.stringify(value)).length;
+    case 'bigint':
+      return String(value).length;
+    case 'object':
+      break;
+    default:
+      return 0;
+  }
+  if (value === null) return 4;
+  if (seen.has(value)) return 0;
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  if (value instanceof ArrayBuffer) return value.byteLength;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 4 : 26;
+
+  seen.add(value);
+  let size = 2;
+  if (value instanceof Map) {
+    for (const [k, v] of value) {
+      size += estimateValueSize(k, seen) + estimateValueSize(v, seen) + 2;
+    }
+  } else if (value instanceof Set || Array.isArray(value)) {
+    for (const item of value) {
+      size += (estimateValueSize(item, seen) || 4) + 1;
+    }
+  } else {
+    for (const [k, v] of Object.entries(value)) {
+      const itemSize = estimateValueSize(v, seen);
+      if (itemSize > 0) size += textEncoder.encode(JSON.stringify(k)).length + itemSize + 2;
+    }
+  }
+  seen.delete(value);
+  // 最后一项后面没有逗号
+  return size > 2 ? size - 1 : size;
+}
+
+/**
+ * 计算已编码条目的字节数：键与编码结果（字符串或 Uint8Array）的 UTF-8 字节长度之和
+ * @param {string} key - 键
+ * @param {string|Uint8Array} stored - 编码结果
+ * @returns {number}
+ */
+export function encodedSize(key, stored) {
+  return textEncoder.encode(key).length + (typeof stored === 'string' ? textEncoder.encode(stored).length : stored.byteLength);
+}
+
+/**
+ * 解析 maxBytes 配额选项
+ * @param {Object} options - 适配器配置选项
+ * @returns {number} 配额上限，未设置时为 Infinity
+ */
+export function resolveMaxBytes(options = {}) {
+  const { maxBytes } = options;
+  if (maxBytes === undefined) return Infinity;
+  if (typeof maxBytes !== 'number' || !(maxBytes > 0)) {
+    throw new Error('maxBytes must be a positive number of bytes');
+  }
+  return maxBytes;
+}
+
+/**
+ * 汇总各键的字节数
+ * @param {Iterable|AsyncIterable<[string, number]>} sizes - [键, 字节数]
+ * @param {number} maxBytes - 配额上限
+ * @returns {Promise<StorageStats>}
+ */
+export async function summarizeSizes(sizes, maxBytes = Infinity) {
+  const stats = { keys: 0, bytes: 0, maxBytes: Number.isFinite(maxBytes) ? maxBytes : null, prefixes: {} };
+  for await (const [key, bytes] of sizes) {
+    const separator = key.indexOf(NAMESPACE_SEPARATOR);
+    const prefix = separator === -1 ? '' : key.slice(0, separator + 1);
+    const group = stats.prefixes[prefix] ??= { keys: 0, bytes: 0 };
+    group.keys++;
+    group.bytes += bytes;
+    stats.keys++;
+    stats.bytes += bytes;
+  }
+  return stats;
+}
+
+/**
+ * 把 ttl/expiresAt 写入选项解析为过期时间戳
+ * @param {Object} options - 写入选项
+ * @returns {number|undefined} 过期时间戳（毫秒），不过期时为 undefined
+ */
+export function resolveExpiry(options = {}) {
+  const { ttl, expiresAt } = options;
+  if (ttl !== undefined) {
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+      throw new Error('TTL must be a positive number of milliseconds');
+    }
+    return Date.now() + ttl;
+  }
+  if (expiresAt !== undefined) {
+    const time = expiresAt instanceof Date ? expiresAt.getTime() : expiresAt;
+    if (!Number.isFinite(time)) {
+      throw new Error('expiresAt must be a timestamp or a Date');
+    }
+    return time;
+  }
+  return undefined;
+}
+
+/**
+ * 校验批量写操作的格式
+ * @param {Array<Object>} ops - 写操作
+ * @throws {Error} 格式不合法时抛出
+ */
+export function validateBatch(ops) {
+  if (!Array.isArray(ops)) {
+    throw new Error('Batch operations must be an array');
+  }
+  ops.forEach((op, index) => {
+    if (!op || (op.type !== 'put' && op.type !== 'del') || typeof op.key !== 'string') {
+      throw new Error(`Invalid batch operation at index ${index}`);
+    }
+  });
+}
+
+function toBase64(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * 编码扫描游标：记录上一页最后一个键和扫描方向
+ * @param {string} key - 上一页最后一个键
+ * @param {boolean} reverse - 是否逆序
+ * @returns {string} 不透明的游标字符串
+ */
+export function encodeCursor(key, reverse = false) {
+  return toBase64(JSON.stringify({ k: key, r: reverse }));
+}
+
+/**
+ * 解码扫描游标
+ * @param {string} cursor - 游标字符串
+ * @returns {{key: string, reverse: boolean}}
+ */
+export function decodeCursor(cursor) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fromBase64(cursor));
+  } catch (error) {
+    throw new Error('Invalid scan cursor');
+  }
+  if (!parsed || typeof parsed.k !== 'string') {
+    throw new Error('Invalid scan cursor');
+  }
+  return { key: parsed.k, reverse: Boolean(parsed.r) };
+}
+
+/**
+ * 将 cursor 合并为范围边界：正序时从 cursor 之后开始，逆序时从 cursor 之前开始
+ * @param {Object} options - 扫描选项
+ * @returns {Object} 不含 cursor 的扫描选项
+ */
+export function resolveScanOptions(options = {}) {
+  const { cursor, ...rest } = options;
+  if (!cursor) return rest;
+
+  const { key, reverse } = decodeCursor(cursor);
+  if (reverse !== Boolean(rest.reverse)) {
+    throw new Error('Scan cursor does not match scan direction');
+  }
+  if (reverse) {
+    return rest.lt !== undefined && rest.lt <= key ? rest : { ...rest, lt: key, lte: undefined };
+  }
+  return rest.gt !== undefined && rest.gt >= key ? rest : { ...rest, gt: key, gte: undefined };
+}
+
+/**
+ * 取出一个变更事件中的变更：批量事件返回其 changes，单条变更返回只含它的数组
+ * @param {Object} event - watch 收到的事件
+ * @returns {Array<Object>}
+ */
+export function changesOf(event) {
+  return event.type === 'batch' ? event.changes : [event];
+}
+
+/**
+ * 判断键是否满足 prefix/gt/gte/lt/lte 条件
+ * @param {string} key - 键
+ * @param {Object} options - 不含 cursor 的扫描选项
+ * @returns {boolean}
+ */
+export function matchesRange(key, options = {}) {
+  const { prefix = '', gt, gte, lt, lte } = options;
+  return key.startsWith(prefix)
+    && (gt === undefined || key > gt)
+    && (gte === undefined || key >= gte)
+    && (lt === undefined || key < lt)
+    && (lte === undefined || key <= lte);
+}
+
+/**
+ * 二分查找有序数组中第一个不满足 predicate 的位置
+ * predicate 必须对数组前段为 true、后段为 false
+ */
+export function bisect(keys, predicate) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (predicate(keys[mid])) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * 在有序键数组中计算满足范围条件的下标区间 [start, end)
+ * @param {string[]} keys - 有序键数组
+ * @param {Object} options - 不含 cursor 的扫描选项
+ * @returns {[number, number]}
+ */
+export function rangeIndices(keys, options = {}) {
+  const { prefix = '', gt, gte, lt, lte } = options;
+  let start = bisect(keys, (key) => key < prefix);
+  if (gte !== undefined) start = Math.max(start, bisect(keys, (key) => key < gte));
+  if (gt !== undefined) start = Math.max(start, bisect(keys, (key) => key <= gt));
+
+  // 有序数组中带同一前缀的键是连续的
+  let end = bisect(keys, (key) => key < prefix || key.startsWith(prefix));
+  if (lt !== undefined) end = Math.min(end, bisect(keys, (key) => key < lt));
+  if (lte !== undefined) end = Math.min(end, bisect(keys, (key) => key <= lte));
+
+  return [start, Math.max(start, end)];
+}
+
+/**
+ * 对有序的候选条目应用 reverse/offset/limit 并生成下一页 cursor
+ * @param {Function} next - 按扫描方向依次返回候选条目的函数，返回 undefined 表示结束
+ * @param {Object} options - 扫描选项
+ * @returns {Array<{key: string, value: any}>} 带 cursor 属性的结果数组
+ */
+export function collectPage(next, options = {}) {
+  const { offset = 0, limit, reverse = false } = options;
+  const results = [];
+  let skipped = 0;
+  let entry;
+
+  while ((limit === undefined || results.length < limit) && (entry = next()) !== undefined) {
+    if (skipped < offset) {
+      skipped++;
+      continue;
+    }
+    results.push(entry);
+  }
+
+  const cursor = limit !== undefined && results.length === limit && results.length > 0
+    ? encodeCursor(results[results.length - 1].key, reverse)
+    : null;
+  Object.defineProperty(results, 'cursor', { value: cursor, enumerable: false });
+  return results;
+}
@@ -0,0 +1,550 @@
+/**
+ * 内存存储适配器
+ */
+
+import { IStorage, ITransaction, bisect, rangeIndices, resolveScanOptions, collectPage, validateBatch, resolveExpiry, estimateSize, encodedSize, resolveMaxBytes, summarizeSizes } from './interface.js';
+import { resolveCodec, encodeValue, structuredCodec } from './codec.js';
+import { TransactionConflictError, QuotaExceededError } from './errors.js';
+import { ChangeFeed } from './watch.js';
+
+/**
+ * 内存事务实现
+ * 快照隔离：事务只记录开始时的版本号（O(1)），读取时通过存储的多版本历史还原该版本的值；
+ * 乐观并发控制：记录事务读过的键，提交时若读过或写入的键在快照之后被其他提交修改过，
+ * 则抛出 TransactionConflictError 且不应用任何更改
+ * 事务必须以 commit() 或 rollback() 结束，否则其快照之后的旧版本无法回收
+ */
+export class MemoryTransaction extends ITransaction {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+    this.changes = new Map();
+    // 事务内写入的过期时间
+    this.expiries = new Map();
+    this.reads = new Set();
+    this.isCommitted = false;
+    this.isRolledBack = false;
+    // 记录快照版本以确保事务隔离
+    this.snapshotVersion = storage._acquireSnapshot();
+  }
+
+  async get(key) {
+    this._checkState();
+    
+    // 先检查事务中的更改
+    if (this.changes.has(key)) {
+      return this.storage._decode(this.changes.get(key)) ?? null;
+    }
+    
+    // 否则读取快照版本的值（而不是直接从 storage.data）
+    this.reads.add(key);
+    return this.storage._decode(this.storage._readAt(key, this.snapshotVersion)) ?? null;
+  }
+
+  async put(key, value, options = {}) {
+    this._checkState();
+    // 立即编码为存储形式，之后修改原对象不会影响提交的值
+    this.changes.set(key, encodeValue(this.storage.codec, key, value));
+    this.expiries.set(key, resolveExpiry(options));
+  }
+
+  async del(key) {
+    this._checkState();
+    this.changes.set(key, undefined);
+  }
+
+  async commit() {
+    this._checkState();
+    
+    // 应用所有更改到存储
+    const ops = [];
+    for (const [key, value] of this.changes.entries()) {
+      ops.push(value === undefined ? { type: 'del', key } : { type: 'put', key, value, expiresAt: this.expiries.get(key) });
+    }
+    await this.storage._commit(ops, this);
+    
+    this.isCommitted = true;
+    this.storage._releaseSnapshot(this.snapshotVersion);
+  }
+
+  async rollback() {
+    this._checkState();
+    this.isRolledBack = true;
+    this.storage._releaseSnapshot(this.snapshotVersion);
+  }
+
+  _checkState() {
+    if (this.isCommitted) {
+      throw new Error('Transaction has already been committed');
+    }
+    if (this.isRolledBack) {
+      throw new Error('Transaction has already been rolled back');
+    }
+  }
+}
+
+/**
+ * 内存存储适配器实现
+ * 保存的是编解码器编码后的存储形式，put() 之后修改原对象或修改 get() 的结果都不会影响已存储的数据
+ */
+export class MemoryStorage extends IStorage {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {number} options.sweepInterval - 后台清理过期键的间隔（毫秒），默认 60000，0 表示不启用
+   * @param {number} options.maxBytes - 估算占用的配额上限（字节），超出时写入抛出 QuotaExceededError，默认不限制
+   * @param {string|import('./codec.js').Codec} options.codec - 值编解码器，默认 'structured'，参见 codec.js
+   */
+  constructor(options = {}) {
+    super();
+    this.codec = resolveCodec(options.codec, structuredCodec);
+    this.data = new Map();
+    // 设置了 TTL 的键 -> 过期时间戳（毫秒）
+    this.expiries = new Map();
+    // 每个键的估算字节数及总和，参见 estimateSize
+    this.sizes = new Map();
+    this.bytes = 0;
+    this.maxBytes = resolveMaxBytes(options);
+    this.sweepInterval = options.sweepInterval ?? 60000;
+    this.sweeper = null;
+    // 按字典序维护的键索引，用于有序范围扫描
+    this.sortedKeys = [];
+    // 全局版本号，每次提交加一；versions 记录每个键最后一次被写入（含删除）时的版本
+    this.version = 0;
+    this.versions = new Map();
+    // 多版本历史：键 -> 被覆盖的旧值列表 [{version, exists, value, expiresAt}]，按 version 递增，
+    // 每项表示该值在 version 之前有效；只在有活动事务时记录
+    this.history = new Map();
+    // 活动事务的快照版本 -> 引用计数
+    this.snapshots = new Map();
+    this.feed = new ChangeFeed();
+    this.isOpen = false;
+  }
+
+  async open(options = {}) {
+    this.isOpen = true;
+    this._startSweeper();
+  }
+
+  async close() {
+    this.isOpen = false;
+    this._stopSweeper();
+    this.feed.close();
+  }
+
+  async get(key) {
+    this._checkOpen();
+    if (this._isExpired(key)) {
+      this._reapLater([key]);
+      return null;
+    }
+    return this._decode(this.data.get(key)) ?? null;
+  }
+
+  async put(key, value, options = {}) {
+    this._checkOpen();
+    await this._commit(this._encodeOps([{ type: 'put', key, value, expiresAt: resolveExpiry(options) }]));
+  }
+
+  async del(key) {
+    this._checkOpen();
+    const existed = this.data.has(key) && !this._isExpired(key);
+    await this._commit([{ type: 'del', key }]);
+    return existed;
+  }
+
+  async scan(options = {}) {
+    this._checkOpen();
+    const resolved = resolveScanOptions(options);
+    const [start, end] = rangeIndices(this.sortedKeys, resolved);
+    const step = resolved.reverse ? -1 : 1;
+    let index = resolved.reverse ? end - 1 : start;
+    const now = Date.now();
+    const expired = [];
+
+    const results = collectPage(() => {
+      while (index >= start && index < end) {
+        const key = this.sortedKeys[index];
+        index += step;
+        if (this._isExpired(key, now)) {
+          expired.push(key);
+        } else if (this.data.has(key)) {
+          return { key, value: this._decode(this.data.get(key)) };
+        }
+      }
+      return undefined;
+    }, resolved);
+    this._reapLater(expired);
+    return results;
+  }
+
+  async tx() {
+    this._checkOpen();
+    return new MemoryTransaction(this);
+  }
+
+  async batch(ops) {
+    this._checkOpen();
+    validateBatch(ops);
+    await this._commit(this._encodeOps(ops.map((op) => (op.type === 'del'
+      ? { type: 'del', key: op.key }
+      : { type: 'put', key: op.key, value: op.value, expiresAt: resolveExpiry(op) }))));
+  }
+
+  /**
+   * 立即清理所有已过期的键，后台清理器定期调用
+   * @returns {Promise<number>} 清理的键数
+   */
+  async sweep() {
+    this._checkOpen();
+    const now = Date.now();
+    const expired = [];
+    for (const [key, expiresAt] of this.expiries) {
+      if (expiresAt <= now) expired.push(key);
+    }
+    await this._reap(expired);
+    return expired.length;
+  }
+
+  /**
+   * 统计存储占用，不含已过期但尚未清理的键
+   * @returns {Promise<import('./interface.js').StorageStats>}
+   */
+  async stats() {
+    this._checkOpen();
+    const now = Date.now();
+    const live = [];
+    for (const entry of this.sizes) {
+      if (!this._isExpired(entry[0], now)) live.push(entry);
+    }
+    return summarizeSizes(live, this.maxBytes);
+  }
+
+  /**
+   * 订阅提交后的变更，每条变更为 {type: 'put'|'del'|'expire', key, value, oldValue, version}
+   * 过期键被清理时产生 expire 变更；删除不存在的键不产生变更；同一次提交的变更共享同一个 version，
+   * 多条变更合并为一个 {type: 'batch', version, changes} 事件，见 IStorage.watch
+   * @param {Object} options - 与 scan 相同的 prefix/gt/gte/lt/lte 过滤条件
+   * @param {Function} callback - 变更回调，在提交生效后同步调用；省略时返回异步迭代器
+   * @returns {Function|AsyncIterableIterator<Object>} 取消订阅的函数，或变更的异步迭代器
+   */
+  watch(options = {}, callback) {
+    if (callback) {
+      return this.feed.subscribe(options, callback);
+    }
+    return this.feed.iterate(options);
+  }
+
+  /**
+   * 健康检查，供 core.health() 调用
+   * @returns {{status: string, open: boolean, keys: number}}
+   */
+  healthCheck() {
+    return {
+      status: this.isOpen ? 'ok' : 'failed',
+      open: this.isOpen,
+      keys: this.data.size
+    };
+  }
+
+  /**
+   * 提交一组写操作，put/del/事务提交都经由这里落地
+   * 持久化适配器覆盖此方法，在写入内存前先落盘
+   * @param {Array<{type: 'put'|'del', key: string, value?: any}>} ops - 写操作，put 的值已编码为存储形式，参见 _encodeOps
+   * @param {MemoryTransaction} tx - 提交这些操作的事务，用于冲突检测；直接写入时为空
+   * @returns {Promise<void>}
+   */
+  async _commit(ops, tx) {
+    this._checkConflicts(tx);
+    const effective = this._checkQuota(this._sizeOps(this._effectiveOps(ops)));
+    this.feed.emit(this._apply(effective));
+  }
+
+  /**
+   * 检查应用写操作后的估算占用是否超过配额
+   * 超出时先把已过期但尚未清理的键并入本次提交一起清理（产生 expire 变更），仍超出才拒绝；
+   * 不增加占用的写入（删除、改小）总是允许，以便超额后仍能释放空间
+   * 与 _apply 之间不能插入其他提交
+   * @param {Array<Object>} ops - 写操作，put 已由 _sizeOps 附上 size
+   * @returns {Array<Object>} 要应用的写操作，可能在前面加入了过期清理
+   * @throws {QuotaExceededError}
+   */
+  _checkQuota(ops) {
+    if (this.maxBytes === Infinity) return ops;
+    let bytes = this._bytesAfter(ops);
+    if (bytes > this.maxBytes) {
+      const touched = new Set(ops.map((op) => op.key));
+      const now = Date.now();
+      const reaped = [];
+      for (const [key, expiresAt] of this.expiries) {
+        if (expiresAt <= now && !touched.has(key)) reaped.push({ type: 'del', key, expired: true });
+      }
+      if (reaped.length > 0) {
+        ops = [...reaped, ...ops];
+        bytes = this._bytesAfter(ops);
+      }
+    }
+    if (bytes > this.maxBytes && bytes > this.bytes) {
+      throw new QuotaExceededError(bytes, this.maxBytes);
+    }
+    return ops;
+  }
+
+  /**
+   * 计算应用写操作后的估算占用
+   */
+  _bytesAfter(ops) {
+    const sizes = new Map();
+    for (const op of ops) {
+      sizes.set(op.key, op.type === 'del' ? 0 : op.size);
+    }
+    let bytes = this.bytes;
+    for (const [key, size] of sizes) {
+      bytes += size - (this.sizes.get(key) ?? 0);
+    }
+    return bytes;
+  }
+
+  /**
+   * 在修改任何状态之前为 put 操作计算占用，使 _apply 不会在中途失败
+   */
+  _sizeOps(ops) {
+    return ops.map((op) => (op.type === 'put' ? { ...op, size: this._sizeOf(op.key, op.value) } : op));
+  }
+
+  /**
+   * 把 put 操作的值编码为存储形式，编码失败时整个提交不生效
+   */
+  _encodeOps(ops) {
+    return ops.map((op) => (op.type === 'put' ? { ...op, value: encodeValue(this.codec, op.key, op.value) } : op));
+  }
+
+  /**
+   * 解码存储形式，undefined 表示不存在
+   */
+  _decode(stored) {
+    return stored === undefined ? undefined : this.codec.decode(stored);
+  }
+
+  /**
+   * 估算存储形式占用的字节数：文本与二进制按编码结果的长度，结构化克隆按 JSON 估算
+   */
+  _sizeOf(key, stored) {
+    return this.codec.format === 'value' ? estimateSize(key, stored) : encodedSize(key, stored);
+  }
+
+  /**
+   * 过滤掉已失效的过期清理操作：排队期间键可能已被重新写入或删除
+   * 与 _apply 之间不能插入其他提交
+   */
+  _effectiveOps(ops) {
+    return ops.some((op) => op.expired) ? ops.filter((op) => !op.expired || this._isExpired(op.key)) : ops;
+  }
+
+  _isExpired(key, now = Date.now()) {
+    const expiresAt = this.expiries.get(key);
+    return expiresAt !== undefined && expiresAt <= now;
+  }
+
+  /**
+   * 以一次提交删除过期键，产生 expire 变更
+   * @param {string[]} keys - 过期的键
+   */
+  async _reap(keys) {
+    if (keys.length === 0) return;
+    await this._commit(keys.map((key) => ({ type: 'del', key, expired: true })));
+  }
+
+  /**
+   * 读取路径上发现的过期键在后台清理，不阻塞读取
+   */
+  _reapLater(keys) {
+    if (keys.length === 0) return;
+    this._reap(keys).catch(() => {});
+  }
+
+  _startSweeper() {
+    if (this.sweeper || !(this.sweepInterval > 0)) return;
+    this.sweeper = setInterval(() => {
+      this.sweep().catch(() => {});
+    }, this.sweepInterval);
+    this.sweeper.unref?.();
+  }
+
+  _stopSweeper() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  /**
+   * 检查事务读过或写入的键是否在其快照之后被修改过
+   * 检查与随后的 _apply 之间不能插入其他提交
+   * @param {MemoryTransaction} tx - 事务
+   * @throws {TransactionConflictError}
+   */
+  _checkConflicts(tx) {
+    if (!tx) return;
+    for (const keys of [tx.reads, tx.changes.keys()]) {
+      for (const key of keys) {
+        if ((this.versions.get(key) ?? 0) > tx.snapshotVersion) {
+          throw new TransactionConflictError(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * 把写操作应用到内存，返回实际发生的变更
+   * @returns {Array<Object>} 变更列表，没有订阅者时为空
+   */
+  _apply(ops) {
+    const changes = [];
+    if (ops.length === 0) return changes;
+    this.version++;
+    const tracking = this.snapshots.size > 0;
+    // 解码变更中的值有开销，没有订阅者时跳过
+    const emitting = this.feed.watchers.size > 0;
+    for (const op of ops) {
+      const existed = this.data.has(op.key);
+      if (emitting && (op.type === 'put' || existed)) {
+        changes.push({
+          type: op.expired ? 'expire' : op.type,
+          key: op.key,
+          value: op.type === 'put' ? this._decode(op.value) : null,
+          oldValue: existed ? this._decode(this.data.get(op.key)) : null,
+          version: this.version
+        });
+      }
+
+      if (tracking) {
+        this._recordHistory(op.key);
+        this.versions.set(op.key, this.version);
+      } else if (op.type === 'del') {
+        // 没有活动事务时，之后的事务快照都不早于本次写入，删除的键无需保留版本
+        this.versions.delete(op.key);
+      } else {
+        this.versions.set(op.key, this.version);
+      }
+      if (op.type === 'del') {
+        this._remove(op.key);
+      } else {
+        this._set(op.key, op.value, op.expiresAt, op.size);
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * 登记一个新的事务快照
+   * @returns {number} 快照版本
+   */
+  _acquireSnapshot() {
+    const version = this.version;
+    this.snapshots.set(version, (this.snapshots.get(version) ?? 0) + 1);
+    return version;
+  }
+
+  /**
+   * 释放事务快照，并回收不再被任何快照引用的旧版本
+   * @param {number} version - 快照版本
+   */
+  _releaseSnapshot(version) {
+    const count = this.snapshots.get(version) - 1;
+    if (count > 0) {
+      this.snapshots.set(version, count);
+      return;
+    }
+    this.snapshots.delete(version);
+
+    if (this.snapshots.size === 0) {
+      // 之后的快照都不早于当前版本，冲突检查与快照读取不再需要任何键的版本
+      this.history.clear();
+      this.versions.clear();
+      return;
+    }
+    // 只有最早的快照结束时才可能有旧版本变得不可达
+    const oldest = Math.min(...this.snapshots.keys());
+    if (oldest <= version) return;
+    for (const [key, entries] of this.history) {
+      // 快照 S 需要的是第一个 version > S 的旧值，version <= oldest 的都已不可达
+      const index = bisect(entries, (entry) => entry.version <= oldest);
+      if (index === entries.length) {
+        this.history.delete(key);
+        // 在所有快照之前删除的键不再需要版本
+        if (!this.data.has(key) && this.versions.get(key) <= oldest) {
+          this.versions.delete(key);
+        }
+      } else if (index > 0) {
+        entries.splice(0, index);
+      }
+    }
+  }
+
+  /**
+   * 读取键在指定版本时的值
+   * @param {string} key - 键
+   * @param {number} version - 快照版本
+   * @returns {any} 值，不存在时返回 undefined
+   */
+  _readAt(key, version) {
+    if ((this.versions.get(key) ?? 0) <= version) {
+      return this._isExpired(key) ? undefined : this.data.get(key);
+    }
+    const entries = this.history.get(key);
+    const entry = entries[bisect(entries, (e) => e.version <= version)];
+    const expired = entry.expiresAt !== undefined && entry.expiresAt <= Date.now();
+    return entry.exists && !expired ? entry.value : undefined;
+  }
+
+  /**
+   * 在键被覆盖前保存其当前值，供更早的快照读取
+   * 同一版本内多次写入同一个键时只保存第一次之前的值
+   */
+  _recordHistory(key) {
+    let entries = this.history.get(key);
+    if (!entries) {
+      entries = [];
+      this.history.set(key, entries);
+    }
+    if (entries.length > 0 && entries[entries.length - 1].version === this.version) return;
+    entries.push({
+      version: this.version,
+      exists: this.data.has(key),
+      value: this.data.get(key),
+      expiresAt: this.expiries.get(key)
+    });
+  }
+
+  _set(key, value, expiresAt, size = this._sizeOf(key, value)) {
+    if (!this.data.has(key)) {
+      const index = bisect(this.sortedKeys, (k) => k < key);
+      if (this.sortedKeys[index] !== key) {
+        this.sortedKeys.splice(index, 0, key);
+      }
+    }
+    this.data.set(key, value);
+    this.bytes += size - (this.sizes.get(key) ?? 0);
+    this.sizes.set(key, size);
+    if (expiresAt === undefined) {
+      this.expiries.delete(key);
+    } else {
+      this.expiries.set(key, expiresAt);
+    }
+  }
+
+  _remove(key) {
+    const index = bisect(this.sortedKeys, (k) => k < key);
+    if (this.sortedKeys[index] === key) {
+      this.sortedKeys.splice(index, 1);
+    }
+    this.expiries.delete(key);
+    this.bytes -= this.sizes.get(key) ?? 0;
+    this.sizes.delete(key);
+    return this.data.delete(key);
+  }
+
+  _checkOpen() {
+    if (!this.isOpen) {
+      throw new Error('Storage is not open');
+    }
+  }
+}
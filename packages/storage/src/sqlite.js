@@ -0,0 +1,384 @@
+/**
+ * SQLite 存储适配器
+ * 基于 Node 22 内置的 node:sqlite（同步 API），键值存放在一张以 key 为主键的表中，
+ * 主键索引同时用于点查与有序范围扫描；value 列保存编解码器的编码结果，
+ * 文本编解码器（默认 json）存为 TEXT，二进制编解码器存为 BLOB
+ *
+ * 注意：SQLite 的 BINARY 排序按 UTF-8 字节（即码点）比较，与 JS 字符串的 UTF-16 比较
+ * 只在 U+E000–U+FFFF 与增补平面字符之间存在差异
+ */
+
+import { IStorage, ITransaction, resolveScanOptions, collectPage, validateBatch, resolveExpiry, resolveMaxBytes, encodedSize } from './interface.js';
+import { QuotaExceededError, TransactionConflictError } from './errors.js';
+import { resolveCodec, requireSerializedCodec, encodeValue, decodeValue, jsonCodec } from './codec.js';
+
+const TABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// 一行的估算占用：键与 value 列的字节长度之和，与 encodedSize 一致
+const ROW_BYTES = 'length(CAST(key AS BLOB)) + length(CAST(value AS BLOB))';
+
+/**
+ * 计算前缀的上界：所有以 prefix 开头的键都严格小于它
+ * 按码点比较时，把最后一个可递增的码点加一即可
+ * @param {string} prefix - 前缀
+ * @returns {string|undefined} 上界，prefix 为空或无法递增时返回 undefined
+ */
+function prefixUpperBound(prefix) {
+  const codePoints = Array.from(prefix, (char) => char.codePointAt(0));
+  while (codePoints.length > 0) {
+    let last = codePoints.pop() + 1;
+    if (last >= 0xd800 && last <= 0xdfff) last = 0xe000;
+    if (last <= 0x10ffff) {
+      return String.fromCodePoint(...codePoints, last);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 判断两次读到的 value 列是否相同（TEXT 为字符串，BLOB 为 Uint8Array，不存在为 null）
+ */
+function sameStored(a, b) {
+  if (a === b) return true;
+  if (!(a instanceof Uint8Array) || !(b instanceof Uint8Array) || a.length !== b.length) return false;
+  return a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * 读取 ROW_BYTES 查询结果中的字节数，行不存在时为 0
+ */
+function rowBytes(row) {
+  return row ? Number(row.bytes) : 0;
+}
+
+/**
+ * SQLite 事务实现
+ * 单个 SQLite 连接上同一时间只能有一个事务，因此写操作先在事务内缓冲，
+ * commit() 时在一次 BEGIN IMMEDIATE ... COMMIT 中原子执行，出错时 ROLLBACK；
+ * 事务内读到的行会被记住（同一事务内重复读取结果一致），提交时在 BEGIN IMMEDIATE 内重新读取，
+ * 任一行已变化则抛出 TransactionConflictError。所读的值在提交时仍然成立，
+ * 事务等价于在提交时刻执行，因此按值比较即可，不需要修订号
+ */
+export class SQLiteTransaction extends ITransaction {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+    this.changes = new Map();
+    this.expiries = new Map();
+    this.reads = new Map();
+    this.isCommitted = false;
+    this.isRolledBack = false;
+  }
+
+  async get(key) {
+    this._checkState();
+
+    if (this.changes.has(key)) {
+      const stored = this.changes.get(key);
+      return stored === undefined ? null : this.storage._decode(key, stored);
+    }
+
+    if (!this.reads.has(key)) {
+      this.reads.set(key, this.storage._readStored(key));
+    }
+    const stored = this.reads.get(key);
+    return stored === null ? null : this.storage._decode(key, stored);
+  }
+
+  async put(key, value, options = {}) {
+    this._checkState();
+    // 立即编码为存储形式，之后修改原对象不会影响提交的值
+    this.changes.set(key, encodeValue(this.storage.codec, key, value));
+    this.expiries.set(key, resolveExpiry(options));
+  }
+
+  async del(key) {
+    this._checkState();
+    this.changes.set(key, undefined);
+  }
+
+  async commit() {
+    this._checkState();
+
+    const ops = [];
+    for (const [key, value] of this.changes.entries()) {
+      ops.push(value === undefined ? { type: 'del', key } : { type: 'put', key, value, expiresAt: this.expiries.get(key) });
+    }
+    await this.storage._commit(ops, this);
+
+    this.isCommitted = true;
+  }
+
+  async rollback() {
+    this._checkState();
+    this.changes.clear();
+    this.isRolledBack = true;
+  }
+
+  _checkState() {
+    if (this.isCommitted) {
+      throw new Error('Transaction has already been committed');
+    }
+    if (this.isRolledBack) {
+      throw new Error('Transaction has already been rolled back');
+    }
+    this.storage._checkOpen();
+  }
+}
+
+/**
+ * SQLite 存储适配器实现
+ */
+export class SQLiteStorage extends IStorage {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.path - 数据库文件路径，默认 ':memory:'
+   * @param {string} options.table - 表名，默认 'kv'
+   * @param {number} options.sweepInterval - 后台清理过期键的间隔（毫秒），默认 60000，0 表示不启用
+   * @param {number} options.maxBytes - 估算占用（键与 JSON 值的 UTF-8 长度之和）的配额上限，
+   *   超出时写入抛出 QuotaExceededError，默认不限制；打开时汇总一次全表，之后随本连接的写入增量维护，
+   *   其他连接写入的数据在重新打开前不计入
+   * @param {string|import('./codec.js').Codec} options.codec - 值编解码器，默认 'json'，必须输出文本或二进制
+   */
+  constructor(options = {}) {
+    super();
+    this.path = options.path ?? ':memory:';
+    this.table = options.table ?? 'kv';
+    if (!TABLE_NAME.test(this.table)) {
+      throw new Error(`Invalid SQLite table name '${this.table}'`);
+    }
+    this.sweepInterval = options.sweepInterval ?? 60000;
+    this.maxBytes = resolveMaxBytes(options);
+    this.codec = requireSerializedCodec(resolveCodec(options.codec, jsonCodec), 'SQLiteStorage');
+    this.sweeper = null;
+    this.db = null;
+    this.statements = null;
+    // 设置 maxBytes 时维护的估算占用总和
+    this.bytes = 0;
+    this.isOpen = false;
+  }
+
+  async open(options = {}) {
+    if (this.isOpen) return;
+
+    const { DatabaseSync } = await import('node:sqlite');
+    this.db = new DatabaseSync(this.path);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER) WITHOUT ROWID`);
+    // 旧版本创建的表没有 expires_at 列
+    const columns = this.db.prepare(`PRAGMA table_info(${this.table})`).all();
+    if (!columns.some((column) => column.name === 'expires_at')) {
+      this.db.exec(`ALTER TABLE ${this.table} ADD COLUMN expires_at INTEGER`);
+    }
+    this.db.exec(`CREATE INDEX IF NOT EXISTS ${this.table}_expires_at ON ${this.table} (expires_at)`);
+
+    this.statements = {
+      get: this.db.prepare(`SELECT value, expires_at FROM ${this.table} WHERE key = ?`),
+      put: this.db.prepare(`INSERT INTO ${this.table} (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`),
+      del: this.db.prepare(`DELETE FROM ${this.table} WHERE key = ? RETURNING ${ROW_BYTES} AS bytes`),
+      reap: this.db.prepare(`DELETE FROM ${this.table} WHERE key = ? AND expires_at <= ? RETURNING ${ROW_BYTES} AS bytes`),
+      sweep: this.db.prepare(`DELETE FROM ${this.table} WHERE expires_at <= ? RETURNING ${ROW_BYTES} AS bytes`),
+      size: this.db.prepare(`SELECT ${ROW_BYTES} AS bytes FROM ${this.table} WHERE key = ?`),
+      bytes: this.db.prepare(`SELECT COALESCE(SUM(${ROW_BYTES}), 0) AS bytes FROM ${this.table}`)
+    };
+    this.bytes = this.maxBytes === Infinity ? 0 : Number(this.statements.bytes.get().bytes);
+    this.isOpen = true;
+
+    if (this.sweepInterval > 0) {
+      this.sweeper = setInterval(() => {
+        this.sweep().catch(() => {});
+      }, this.sweepInterval);
+      this.sweeper.unref?.();
+    }
+  }
+
+  async close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+    this.statements = null;
+    this.db.close();
+    this.db = null;
+  }
+
+  async get(key) {
+    this._checkOpen();
+    return this._read(key);
+  }
+
+  async put(key, value, options = {}) {
+    this._checkOpen();
+    await this._commit(this._encodeOps([{ type: 'put', key, value, expiresAt: resolveExpiry(options) }]));
+  }
+
+  async del(key) {
+    this._checkOpen();
+    const existed = this._read(key) !== null;
+    this._untrack(this.statements.del.get(key));
+    return existed;
+  }
+
+  async scan(options = {}) {
+    this._checkOpen();
+    const resolved = resolveScanOptions(options);
+    const { prefix = '', gt, gte, lt, lte, reverse = false, offset = 0, limit } = resolved;
+
+    const conditions = ['(expires_at IS NULL OR expires_at > ?)'];
+    const params = [Date.now()];
+    if (prefix) {
+      conditions.push('key >= ?');
+      params.push(prefix);
+      const upper = prefixUpperBound(prefix);
+      if (upper !== undefined) {
+        conditions.push('key < ?');
+        params.push(upper);
+      }
+    }
+    if (gt !== undefined) { conditions.push('key > ?'); params.push(gt); }
+    if (gte !== undefined) { conditions.push('key >= ?'); params.push(gte); }
+    if (lt !== undefined) { conditions.push('key < ?'); params.push(lt); }
+    if (lte !== undefined) { conditions.push('key <= ?'); params.push(lte); }
+
+    const sql = `SELECT key, value FROM ${this.table} WHERE ${conditions.join(' AND ')} ORDER BY key ${reverse ? 'DESC' : 'ASC'} LIMIT ?`;
+    params.push(limit === undefined ? -1 : offset + limit);
+
+    const rows = this.db.prepare(sql).all(...params);
+    let index = 0;
+    return collectPage(() => {
+      if (index >= rows.length) return undefined;
+      const row = rows[index++];
+      return { key: row.key, value: this._decode(row.key, row.value) };
+    }, resolved);
+  }
+
+  async tx() {
+    this._checkOpen();
+    return new SQLiteTransaction(this);
+  }
+
+  async batch(ops) {
+    this._checkOpen();
+    validateBatch(ops);
+    await this._commit(this._encodeOps(ops.map((op) => (op.type === 'del'
+      ? { type: 'del', key: op.key }
+      : { type: 'put', key: op.key, value: op.value, expiresAt: resolveExpiry(op) }))));
+  }
+
+  /**
+   * 立即删除所有已过期的键，后台清理器定期调用
+   * @returns {Promise<number>} 删除的键数
+   */
+  async sweep() {
+    this._checkOpen();
+    const rows = this.statements.sweep.all(Date.now());
+    rows.forEach((row) => this._untrack(row));
+    return rows.length;
+  }
+
+  /**
+   * 健康检查，供 core.health() 调用
+   * @returns {{status: string, open: boolean}}
+   */
+  healthCheck() {
+    return { status: this.isOpen ? 'ok' : 'failed', open: this.isOpen };
+  }
+
+  _read(key) {
+    const stored = this._readStored(key);
+    return stored === null ? null : this._decode(key, stored);
+  }
+
+  /**
+   * 读取未解码的 value 列，键不存在或已过期时返回 null
+   * @param {string} key - 键
+   * @param {boolean} reap - 是否顺带清理过期键；在 _commit 的事务内为 false，
+   *   否则 ROLLBACK 会撤销清理而占用总和已被减去
+   */
+  _readStored(key, reap = true) {
+    const row = this.statements.get.get(key);
+    if (!row) return null;
+    const now = Date.now();
+    if (row.expires_at !== null && row.expires_at <= now) {
+      if (reap) this._untrack(this.statements.reap.get(key, now));
+      return null;
+    }
+    return row.value;
+  }
+
+  /**
+   * 把 put 操作的值编码为 value 列的存储形式，编码失败时整个提交不生效
+   */
+  _encodeOps(ops) {
+    return ops.map((op) => (op.type === 'put' ? { ...op, value: encodeValue(this.codec, op.key, op.value) } : op));
+  }
+
+  /**
+   * 解码 value 列，TEXT/BLOB 必须与编解码器的输出形式一致
+   */
+  _decode(key, stored) {
+    if ((typeof stored === 'string') !== (this.codec.format === 'text')) {
+      throw new Error(`Cannot decode value for key '${key}' with the '${this.codec.name}' codec`);
+    }
+    return decodeValue(this.codec, key, stored);
+  }
+
+  /**
+   * 在一个 SQLite 事务中原子地执行一组写操作
+   * @param {Array<{type: 'put'|'del', key: string, value?: any}>} ops - 写操作，put 的值已编码为存储形式，参见 _encodeOps
+   * @param {SQLiteTransaction} tx - 提交的事务，用于检查其读取的行是否已被修改
+   * @returns {Promise<void>}
+   */
+  async _commit(ops, tx) {
+    if (ops.length === 0 && !(tx?.reads.size > 0)) return;
+
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      for (const [key, stored] of tx?.reads ?? []) {
+        if (!sameStored(this._readStored(key, false), stored)) {
+          throw new TransactionConflictError(key);
+        }
+      }
+
+      const tracked = this.maxBytes !== Infinity;
+      let bytes = this.bytes;
+      for (const op of ops) {
+        if (op.type === 'del') {
+          bytes -= rowBytes(this.statements.del.get(op.key));
+        } else {
+          if (tracked) {
+            bytes += encodedSize(op.key, op.value) - rowBytes(this.statements.size.get(op.key));
+          }
+          this.statements.put.run(op.key, op.value, op.expiresAt ?? null);
+        }
+      }
+      if (tracked && bytes > this.maxBytes) {
+        // 与 MemoryStorage 一致：超出时先在同一事务内清理已过期的键
+        for (const row of this.statements.sweep.all(Date.now())) {
+          bytes -= rowBytes(row);
+        }
+      }
+      // 不增加占用的写入总是允许
+      if (tracked && bytes > this.maxBytes && bytes > this.bytes) {
+        throw new QuotaExceededError(bytes, this.maxBytes);
+      }
+      this.db.exec('COMMIT');
+      if (tracked) this.bytes = bytes;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * 从占用总和中减去已删除的行，行由 RETURNING 返回，不存在时为 undefined
+   */
+  _untrack(row) {
+    if (this.maxBytes !== Infinity) this.bytes -= rowBytes(row);
+  }
+
+  _checkOpen() {
+    if (!this.isOpen) {
+      throw new Error('Storage is not open');
+    }
+  }
+}
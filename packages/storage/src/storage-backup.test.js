@@ -0,0 +1,263 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryStorage, FileStorage, exportTo, importFrom } from './index.js';
+
+/**
+ * 收集写入的字节，返回可写流和读取文本的函数
+ */
+function createSink(onWrite) {
+  const chunks = [];
+  const writable = new WritableStream({
+    async write(chunk) {
+      chunks.push(chunk);
+      await onWrite?.(chunk);
+    }
+  });
+  const text = () => chunks.map((chunk) => new TextDecoder().decode(chunk)).join('');
+  return { writable, text };
+}
+
+function toStream(text, chunkSize = 7) {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      // 故意按很小的块切分，覆盖跨块的行与多字节字符
+      controller.enqueue(bytes.slice(offset, offset + chunkSize));
+      offset += chunkSize;
+    }
+  });
+}
+
+describe('exportTo / importFrom', () => {
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    source = new MemoryStorage();
+    target = new MemoryStorage();
+    await source.open();
+    await target.open();
+    await source.put('user:1', { name: 'Alice', tags: ['管理员'] });
+    await source.put('user:2', { name: 'Bob' });
+    await source.put('post:1', 'hello\nworld');
+  });
+
+  afterEach(async () => {
+    await source.close();
+    await target.close();
+  });
+
+  it('should write a header record followed by one line per entry', async () => {
+    const sink = createSink();
+    const header = await exportTo(source, sink.writable);
+
+    const lines = sink.text().trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines[0]).toEqual(header);
+    expect(header).toMatchObject({ format: 'lfde-storage', version: 1, adapter: 'MemoryStorage', prefix: '', count: 3 });
+    expect(header.checksum).toMatch(/^crc32:[0-9a-f]{8}$/);
+    expect(lines.slice(1)).toEqual([
+      { k: 'post:1', v: 'hello\nworld' },
+      { k: 'user:1', v: { name: 'Alice', tags: ['管理员'] } },
+      { k: 'user:2', v: { name: 'Bob' } }
+    ]);
+  });
+
+  it('should round-trip data through a stream', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable);
+    const header = await importFrom(target, toStream(sink.text()));
+
+    expect(header.count).toBe(3);
+    expect(await target.scan()).toEqual(await source.scan());
+  });
+
+  it('should export only keys under a prefix', async () => {
+    const sink = createSink();
+    const header = await exportTo(source, sink.writable, { prefix: 'user:' });
+    expect(header.count).toBe(2);
+
+    await importFrom(target, [sink.text()]);
+    expect((await target.scan()).map((entry) => entry.key)).toEqual(['user:1', 'user:2']);
+  });
+
+  it('should merge into existing data by default', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable, { prefix: 'user:' });
+    await target.put('user:1', 'stale');
+    await target.put('user:9', 'kept');
+
+    await importFrom(target, [sink.text()]);
+    expect(await target.get('user:1')).toEqual({ name: 'Alice', tags: ['管理员'] });
+    expect(await target.get('user:9')).toBe('kept');
+  });
+
+  it('should remove keys missing from the backup in replace mode', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable, { prefix: 'user:' });
+    await target.put('user:9', 'removed');
+    await target.put('other', 'outside prefix');
+
+    await importFrom(target, [sink.text()], { mode: 'replace' });
+    expect((await target.scan()).map((entry) => entry.key)).toEqual(['other', 'user:1', 'user:2']);
+  });
+
+  it('should restore in bounded chunks when not atomic', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable);
+    const batches = [];
+    const batch = target.batch.bind(target);
+    target.batch = (ops) => {
+      batches.push(ops.map((op) => `${op.type}:${op.key}`));
+      return batch(ops);
+    };
+
+    await importFrom(target, toStream(sink.text()), { atomic: false, chunkSize: 2 });
+    expect(batches).toEqual([['put:post:1', 'put:user:1'], ['put:user:2']]);
+    expect(await target.get('user:1')).toEqual({ name: 'Alice', tags: ['管理员'] });
+  });
+
+  it('should delete keys missing from the backup after a chunked replace', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable, { prefix: 'user:' });
+    for (const key of ['user:0', 'user:3', 'user:4', 'other']) {
+      await target.put(key, 'stale');
+    }
+
+    await importFrom(target, [sink.text()], { mode: 'replace', atomic: false, chunkSize: 1 });
+    expect((await target.scan()).map((entry) => entry.key)).toEqual(['other', 'user:1', 'user:2']);
+    await expect(importFrom(target, [sink.text()], { atomic: false, chunkSize: 0 })).rejects.toThrow('chunkSize must be a positive integer');
+  });
+
+  it('should leave earlier chunks in place when a chunked restore fails verification', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable);
+    const truncated = sink.text().split('\n').slice(0, 3).join('\n');
+
+    await expect(importFrom(target, [truncated], { atomic: false, chunkSize: 1 })).rejects.toThrow('Backup checksum mismatch');
+    expect((await target.scan()).map((entry) => entry.key)).toEqual(['post:1', 'user:1']);
+  });
+
+  it('should reject tampered backups without writing anything', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable);
+    const tampered = sink.text().replace('Bob', 'Eve');
+    const truncated = sink.text().split('\n').slice(0, 3).join('\n');
+
+    await expect(importFrom(target, [tampered])).rejects.toThrow('Backup checksum mismatch');
+    await expect(importFrom(target, [truncated])).rejects.toThrow('Backup checksum mismatch');
+    expect(await target.scan()).toEqual([]);
+  });
+
+  it('should reject malformed input', async () => {
+    await expect(importFrom(target, ['{"hello":1}\n'])).rejects.toThrow('Invalid backup header');
+    await expect(importFrom(target, [])).rejects.toThrow('Invalid backup header');
+    await expect(importFrom(target, ['{"format":"lfde-storage","version":2}\n'])).rejects.toThrow('Unsupported backup version 2');
+    await expect(importFrom(target, ['{"format":"lfde-storage","version":1,"count":0}\nnot json\n'])).rejects.toThrow('Invalid backup record at line 2');
+    await expect(importFrom(target, ['x'], { mode: 'overwrite' })).rejects.toThrow("Unknown import mode 'overwrite'");
+    await expect(importFrom(target, 42)).rejects.toThrow('importFrom requires a ReadableStream or an iterable of chunks');
+    await expect(exportTo(source, {})).rejects.toThrow('exportTo requires a WritableStream');
+  });
+
+  it('should abort the export when data changes during the export', async () => {
+    let modified = false;
+    const sink = createSink(async () => {
+      if (!modified) {
+        modified = true;
+        await source.put('user:3', 'late');
+      }
+    });
+
+    await expect(exportTo(source, sink.writable)).rejects.toThrow('Storage was modified during export');
+  });
+
+  it('should emit imported entries as a single commit', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable);
+    const versions = new Set();
+    target.watch({}, (change) => versions.add(change.version));
+
+    await importFrom(target, [sink.text()]);
+    expect(versions.size).toBe(1);
+  });
+
+  it('should refuse to export values that JSON cannot restore', async () => {
+    await source.put('user:3', { joined: new Date(0) });
+    const sink = createSink();
+
+    await expect(exportTo(source, sink.writable)).rejects
+      .toThrow("Cannot export Date value for key 'user:3' as JSON; export with a codec such as 'msgpack'");
+    expect(sink.text()).toBe('');
+
+    await source.put('user:3', { avatar: new Uint8Array([1, 2]) });
+    await expect(exportTo(source, createSink().writable)).rejects.toThrow("Cannot export Uint8Array value for key 'user:3'");
+    await source.put('user:3', { ratio: NaN });
+    await expect(exportTo(source, createSink().writable)).rejects.toThrow("Cannot export number value for key 'user:3'");
+  });
+
+  it('should round-trip rich values with the codec recorded in the header', async () => {
+    const rich = { joined: new Date(0), roles: new Set(['admin']), prefs: new Map([['theme', 'dark']]), avatar: new Uint8Array([1, 2]) };
+    await source.put('user:3', rich);
+    const sink = createSink();
+    const header = await exportTo(source, sink.writable, { codec: 'msgpack' });
+
+    expect(header.codec).toBe('msgpack');
+    await importFrom(target, toStream(sink.text()));
+    expect(await target.get('user:3')).toEqual(rich);
+    expect(await target.scan()).toEqual(await source.scan());
+    await expect(exportTo(source, createSink().writable, { codec: 'structured' })).rejects
+      .toThrow("exportTo requires a text or binary codec, got 'structured'");
+  });
+
+  it('should read backups without a codec as JSON and reject mismatched codecs', async () => {
+    const sink = createSink();
+    await exportTo(source, sink.writable);
+    const [header, ...entries] = sink.text().trim().split('\n');
+    const { codec, ...legacy } = JSON.parse(header);
+
+    expect(codec).toBe('json');
+    await importFrom(target, [`${JSON.stringify(legacy)}\n${entries.join('\n')}\n`]);
+    expect(await target.scan()).toEqual(await source.scan());
+    await expect(importFrom(target, [sink.text()], { codec: 'msgpack' })).rejects
+      .toThrow("Backup was written with the 'json' codec and cannot be read with 'msgpack'");
+  });
+});
+
+describe('migrating between adapters', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-backup-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should restore a memory backup into file storage', async () => {
+    const memory = new MemoryStorage();
+    await memory.open();
+    for (let i = 0; i < 250; i++) {
+      await memory.put(`item:${String(i).padStart(3, '0')}`, { i });
+    }
+    const sink = createSink();
+    await exportTo(memory, sink.writable);
+
+    const file = new FileStorage({ path: dir });
+    await file.open();
+    await importFrom(file, toStream(sink.text(), 1024));
+    await file.close();
+
+    const reopened = new FileStorage({ path: dir });
+    await reopened.open();
+    expect(await reopened.scan()).toEqual(await memory.scan());
+    await reopened.close();
+    await memory.close();
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { IStorage, MemoryStorage, FileStorage, createStorage, changesOf } from './index.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+describe('MemoryStorage batch', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    await storage.put('old', 'value');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should apply puts and deletes in order', async () => {
+    await storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 'b', value: 2 },
+      { type: 'del', key: 'old' },
+      { type: 'put', key: 'a', value: 3 }
+    ]);
+
+    expect(await storage.scan()).toEqual([{ key: 'a', value: 3 }, { key: 'b', value: 2 }]);
+  });
+
+  it('should emit a batch as a single change event', async () => {
+    const events = [];
+    storage.watch({}, (event) => events.push(event));
+
+    await storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'del', key: 'old' }
+    ]);
+
+    expect(events).toEqual([{
+      type: 'batch',
+      version: 2,
+      changes: [
+        { type: 'put', key: 'a', value: 1, oldValue: null, version: 2 },
+        { type: 'del', key: 'old', value: null, oldValue: 'value', version: 2 }
+      ]
+    }]);
+    expect(changesOf(events[0])).toBe(events[0].changes);
+  });
+
+  it('should only include changes within the watched range in a batch event', async () => {
+    const events = [];
+    storage.watch({ prefix: 'a' }, (event) => events.push(event));
+    const feed = storage.watch({ prefix: 'x' });
+
+    await storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 'b', value: 2 }
+    ]);
+    await storage.put('x', 3);
+
+    expect(events).toEqual([{ type: 'batch', version: 2, changes: [{ type: 'put', key: 'a', value: 1, oldValue: null, version: 2 }] }]);
+    expect((await feed.next()).value).toEqual({ type: 'put', key: 'x', value: 3, oldValue: null, version: 3 });
+    await feed.return();
+  });
+
+  it('should reject malformed batches without applying anything', async () => {
+    await expect(storage.batch({})).rejects.toThrow('Batch operations must be an array');
+    await expect(storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'upsert', key: 'b', value: 2 }
+    ])).rejects.toThrow('Invalid batch operation at index 1');
+    await expect(storage.batch([{ type: 'put', value: 1 }])).rejects.toThrow('Invalid batch operation at index 0');
+
+    expect(await storage.get('a')).toBe(null);
+  });
+
+  it('should be visible to later transactions but not to earlier snapshots', async () => {
+    const tx = await storage.tx();
+    await storage.batch([{ type: 'put', key: 'old', value: 'new' }]);
+
+    expect(await tx.get('old')).toBe('value');
+    await tx.rollback();
+    expect(await storage.get('old')).toBe('new');
+  });
+
+  it('should throw when storage is closed', async () => {
+    await storage.close();
+    await expect(storage.batch([])).rejects.toThrow('Storage is not open');
+    await storage.open();
+  });
+
+  it('should fall back to a transaction in the default implementation', async () => {
+    await IStorage.prototype.batch.call(storage, [
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'del', key: 'old' }
+    ]);
+
+    expect(await storage.get('a')).toBe(1);
+    expect(await storage.get('old')).toBe(null);
+  });
+});
+
+describe('FileStorage batch', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-batch-'));
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write a batch as a single log record', async () => {
+    const ops = Array.from({ length: 1000 }, (_, i) => ({ type: 'put', key: `k:${i}`, value: i }));
+    await storage.batch(ops);
+
+    const log = await readFile(join(dir, 'wal.log'), 'utf8');
+    expect(log.trim().split('\n')).toHaveLength(1);
+
+    await storage.close();
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+    expect((await storage.scan({ prefix: 'k:' })).length).toBe(1000);
+  });
+});
+
+describe.skipIf(!hasSqlite)('SQLiteStorage batch', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = createStorage('sqlite');
+    await storage.open();
+    await storage.put('old', 'value');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should apply a batch in one SQLite transaction', async () => {
+    await storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'del', key: 'old' }
+    ]);
+
+    expect(await storage.get('a')).toBe(1);
+    expect(await storage.get('old')).toBe(null);
+  });
+
+  it('should roll back the whole batch when a write fails', async () => {
+    await expect(storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 'b', value: undefined }
+    ])).rejects.toThrow("Cannot store undefined value for key 'b'");
+
+    expect(await storage.get('a')).toBe(null);
+    expect(await storage.get('old')).toBe('value');
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import {
+  createStorage,
+  MemoryStorage,
+  FileStorage,
+  EncryptedStorage,
+  createStaticKeyProvider,
+  structuredCodec,
+  jsonCodec,
+  msgpackCodec,
+  resolveCodec
+} from './index.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+const rich = () => ({
+  joined: new Date(1700000000123),
+  roles: new Set(['admin', 'dev']),
+  prefs: new Map([['theme', 'dark'], ['size', 12]]),
+  avatar: new Uint8Array([0, 1, 254, 255]),
+  views: 12345678901234567890n,
+  nested: [null, true, -1.5, '中文']
+});
+
+describe('msgpackCodec', () => {
+  const roundTrip = (value) => msgpackCodec.decode(msgpackCodec.encode(value));
+
+  it('should round-trip JSON values', () => {
+    for (const value of [null, true, false, 0, 1, -1, 127, 128, -32, -33, 255, 256, 65535, 65536, 2 ** 32, -(2 ** 31) - 1,
+      Number.MAX_SAFE_INTEGER, Number.MIN_SAFE_INTEGER, 0.5, -1e300, '', 'a'.repeat(31), 'b'.repeat(32), 'c'.repeat(256),
+      'd'.repeat(65536), '中文 ✓', [], [1, [2, [3]]], new Array(16).fill(0), {}, { a: 1, b: { c: [null] } }]) {
+      expect(roundTrip(value)).toEqual(value);
+    }
+    const wide = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`k${i}`, i]));
+    expect(roundTrip(wide)).toEqual(wide);
+  });
+
+  it('should round-trip dates, collections, binary data and bigints', () => {
+    expect(roundTrip(rich())).toEqual(rich());
+    expect(roundTrip(new Date(-1))).toEqual(new Date(-1));
+    expect(roundTrip(-(2n ** 70n))).toBe(-(2n ** 70n));
+  });
+
+  it('should encode compactly', () => {
+    expect(msgpackCodec.encode({ a: 1 })).toEqual(new Uint8Array([0x81, 0xa1, 0x61, 0x01]));
+    expect(msgpackCodec.encode(-1).length).toBe(1);
+    expect(msgpackCodec.encode(1.5).length).toBe(9);
+  });
+
+  it('should drop undefined properties and keep __proto__ as plain data', () => {
+    expect(roundTrip({ a: undefined, b: 1 })).toEqual({ b: 1 });
+    const decoded = roundTrip(JSON.parse('{"__proto__": {"polluted": true}}'));
+    expect(Object.keys(decoded)).toEqual(['__proto__']);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('should reject unsupported values and invalid data', () => {
+    expect(() => msgpackCodec.encode(() => {})).toThrow('Cannot encode function value as MessagePack');
+    expect(() => msgpackCodec.encode(new Uint16Array(1))).toThrow('Cannot encode Uint16Array value as MessagePack');
+    expect(() => msgpackCodec.encode(new Date(NaN))).toThrow('Cannot encode an invalid Date');
+    expect(() => msgpackCodec.decode(new Uint8Array([0xa3, 0x61]))).toThrow('unexpected end of input');
+    expect(() => msgpackCodec.decode(new Uint8Array([0x01, 0x02]))).toThrow('trailing bytes');
+    expect(() => msgpackCodec.decode(new Uint8Array([0xc1]))).toThrow('unknown type byte 0xc1');
+  });
+});
+
+describe('resolveCodec', () => {
+  it('should resolve names, objects and defaults', () => {
+    expect(resolveCodec('msgpack', jsonCodec)).toBe(msgpackCodec);
+    expect(resolveCodec(undefined, jsonCodec)).toBe(jsonCodec);
+    const custom = { name: 'upper', format: 'text', encode: (v) => String(v).toUpperCase(), decode: (s) => s };
+    expect(resolveCodec(custom, jsonCodec)).toBe(custom);
+  });
+
+  it('should reject unknown or incomplete codecs', () => {
+    expect(() => resolveCodec('yaml', jsonCodec)).toThrow("Unknown codec 'yaml'");
+    expect(() => resolveCodec({ name: 'half', encode: String }, jsonCodec)).toThrow('A codec must have a format and encode/decode functions');
+    expect(() => createStorage('file', { path: 'unused', codec: 'structured' })).toThrow("FileStorage requires a text or binary codec, got 'structured'");
+    expect(() => new EncryptedStorage(new MemoryStorage(), { keyProvider: createStaticKeyProvider(randomBytes(32)), codec: structuredCodec }))
+      .toThrow("EncryptedStorage requires a text or binary codec, got 'structured'");
+  });
+});
+
+describe('MemoryStorage codecs', () => {
+  it('should store structured clones by default', async () => {
+    const storage = createStorage('memory', { sweepInterval: 0 });
+    await storage.open();
+    expect(storage.codec).toBe(structuredCodec);
+
+    const value = { tags: ['a'], at: new Date(0) };
+    await storage.put('a', value);
+    value.tags.push('mutated');
+    const read = await storage.get('a');
+    read.tags.push('also mutated');
+
+    expect(await storage.get('a')).toEqual({ tags: ['a'], at: new Date(0) });
+    await expect(storage.put('f', () => {})).rejects.toThrow("Cannot store function value for key 'f'");
+    await storage.close();
+  });
+
+  it('should apply the configured codec to reads, scans and change events', async () => {
+    const storage = createStorage('memory', { codec: 'json', sweepInterval: 0 });
+    await storage.open();
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+
+    await storage.put('a', { at: new Date(0) });
+    await storage.put('a', { n: 1 });
+
+    expect(await storage.scan()).toEqual([{ key: 'a', value: { n: 1 } }]);
+    expect(changes[1]).toMatchObject({ value: { n: 1 }, oldValue: { at: '1970-01-01T00:00:00.000Z' } });
+    expect(storage.data.get('a')).toBe('{"n":1}');
+    await storage.close();
+  });
+});
+
+describe('FileStorage codecs', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-codec-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should replay a msgpack log and snapshot', async () => {
+    const storage = new FileStorage({ path: dir, codec: 'msgpack' });
+    await storage.open();
+    await storage.put('a', rich());
+    await storage.compact();
+    await storage.put('b', new Set([1]));
+    await storage.close();
+
+    const log = JSON.parse((await readFile(join(dir, 'wal.log'), 'utf8')).trim());
+    expect(log.codec).toBe('msgpack');
+
+    const reopened = new FileStorage({ path: dir, codec: 'msgpack' });
+    await reopened.open();
+    expect(await reopened.get('a')).toEqual(rich());
+    expect(await reopened.get('b')).toEqual(new Set([1]));
+    await reopened.close();
+  });
+
+  it('should transcode untagged JSON data and refuse data written with another codec', async () => {
+    const plain = new FileStorage({ path: dir });
+    await plain.open();
+    await plain.put('a', { n: 1 });
+    await plain.close();
+
+    const packed = new FileStorage({ path: dir, codec: 'msgpack' });
+    await packed.open();
+    expect(await packed.get('a')).toEqual({ n: 1 });
+    await packed.put('b', new Map([[1, 2]]));
+    await packed.close();
+
+    const mismatched = new FileStorage({ path: dir });
+    await expect(mismatched.open()).rejects.toThrow(`Data in '${dir}' was written with the 'msgpack' codec and cannot be read with 'json'`);
+  });
+});
+
+describe('IndexedDBStorage codecs', () => {
+  it('should store structured clones by default and tag other codecs', async () => {
+    const indexedDB = new IDBFactory();
+    const storage = createStorage('indexeddb', { indexedDB, IDBKeyRange, sweepInterval: 0 });
+    await storage.open();
+    await storage.put('a', rich());
+    expect(await storage.get('a')).toEqual(rich());
+    await storage.close();
+
+    const packed = createStorage('indexeddb', { indexedDB, IDBKeyRange, sweepInterval: 0, codec: 'msgpack' });
+    await packed.open();
+    await packed.put('b', rich());
+    expect(await packed.get('b')).toEqual(rich());
+    await expect(packed.get('a')).rejects.toThrow("Cannot decode value for key 'a' with the 'msgpack' codec");
+    await packed.close();
+  });
+});
+
+describe('EncryptedStorage codecs', () => {
+  it('should encrypt values encoded with the configured codec', async () => {
+    const inner = new MemoryStorage();
+    const keyProvider = createStaticKeyProvider(randomBytes(32));
+    const plain = new EncryptedStorage(inner, { keyProvider });
+    await plain.open();
+    await plain.put('a', { n: 1 });
+
+    const packed = new EncryptedStorage(inner, { keyProvider, codec: 'msgpack' });
+    await packed.open();
+    await packed.put('b', rich());
+    expect(await packed.get('b')).toEqual(rich());
+    expect(await packed.get('a')).toEqual({ n: 1 });
+    await expect(plain.get('b')).rejects.toThrow("Cannot decode value for key");
+    await packed.close();
+  });
+});
+
+describe.skipIf(!hasSqlite)('SQLiteStorage codecs', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-codec-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should store binary codecs as blobs and check the format on read', async () => {
+    const path = join(dir, 'kv.db');
+    const packed = createStorage('sqlite', { path, codec: 'msgpack', sweepInterval: 0 });
+    await packed.open();
+    await packed.put('a', rich());
+    expect(await packed.get('a')).toEqual(rich());
+    expect(await packed.scan()).toEqual([{ key: 'a', value: rich() }]);
+    await packed.close();
+
+    const plain = createStorage('sqlite', { path, sweepInterval: 0 });
+    await plain.open();
+    await expect(plain.get('a')).rejects.toThrow("Cannot decode value for key 'a' with the 'json' codec");
+    await plain.close();
+  });
+});
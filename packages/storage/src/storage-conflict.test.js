@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryStorage, FileStorage, TransactionConflictError } from './index.js';
+
+describe('MemoryTransaction conflict detection', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    await storage.put('counter', 10);
+    await storage.put('other', 'x');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should reject a commit when a read key changed after the snapshot', async () => {
+    const tx = await storage.tx();
+    const value = await tx.get('counter');
+    await storage.put('counter', 20);
+    await tx.put('other', value);
+
+    const error = await tx.commit().catch((e) => e);
+    expect(error).toBeInstanceOf(TransactionConflictError);
+    expect(error.name).toBe('TransactionConflictError');
+    expect(error.key).toBe('counter');
+    expect(await storage.get('other')).toBe('x');
+  });
+
+  it('should reject a commit when a written key changed after the snapshot', async () => {
+    const tx = await storage.tx();
+    await tx.put('counter', 1);
+    await storage.del('counter');
+
+    await expect(tx.commit()).rejects.toThrow("Transaction conflict on key 'counter'");
+    expect(await storage.get('counter')).toBe(null);
+  });
+
+  it('should detect keys created after the snapshot', async () => {
+    const tx = await storage.tx();
+    expect(await tx.get('fresh')).toBe(null);
+    await storage.put('fresh', 1);
+    await tx.put('other', 'y');
+
+    await expect(tx.commit()).rejects.toThrow(TransactionConflictError);
+  });
+
+  it('should commit when unrelated keys changed', async () => {
+    const tx = await storage.tx();
+    await tx.put('counter', (await tx.get('counter')) + 1);
+    await storage.put('unrelated', true);
+
+    await tx.commit();
+    expect(await storage.get('counter')).toBe(11);
+  });
+
+  it('should allow a transaction to be rolled back after a conflict', async () => {
+    const tx = await storage.tx();
+    await tx.put('counter', 1);
+    await storage.put('counter', 2);
+
+    await expect(tx.commit()).rejects.toThrow(TransactionConflictError);
+    await tx.rollback();
+    await expect(tx.commit()).rejects.toThrow('Transaction has already been rolled back');
+  });
+});
+
+describe('runTransaction', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    await storage.put('counter', 10);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  const increment = async (tx) => {
+    const value = await tx.get('counter');
+    // 让出执行权，使并发的事务交错执行
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await tx.put('counter', value + 1);
+    return value + 1;
+  };
+
+  it('should commit and return the result of fn', async () => {
+    expect(await storage.runTransaction(increment)).toBe(11);
+    expect(await storage.get('counter')).toBe(11);
+  });
+
+  it('should not lose updates under concurrency', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => storage.runTransaction(increment, { retries: 10 })));
+    expect(await storage.get('counter')).toBe(15);
+  });
+
+  it('should retry on conflict and give up after the retry limit', async () => {
+    let attempts = 0;
+    const conflicting = async (tx) => {
+      attempts++;
+      await tx.get('counter');
+      await storage.put('counter', attempts);
+      await tx.put('counter', -1);
+    };
+
+    await expect(storage.runTransaction(conflicting, { retries: 2 })).rejects.toThrow(TransactionConflictError);
+    expect(attempts).toBe(3);
+    expect(await storage.get('counter')).toBe(3);
+  });
+
+  it('should roll back and rethrow errors thrown by fn without retrying', async () => {
+    let attempts = 0;
+    await expect(storage.runTransaction(async (tx) => {
+      attempts++;
+      await tx.put('counter', 100);
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(attempts).toBe(1);
+    expect(await storage.get('counter')).toBe(10);
+  });
+});
+
+describe('FileTransaction conflict detection', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-conflict-'));
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should not persist a conflicting transaction', async () => {
+    await storage.put('key', 'original');
+    const tx1 = await storage.tx();
+    const tx2 = await storage.tx();
+    await tx1.put('key', 'tx1');
+    await tx2.put('key', 'tx2');
+
+    // 两个提交同时进入写入队列，只有先入队的一个成功
+    const results = await Promise.allSettled([tx1.commit(), tx2.commit()]);
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toBeInstanceOf(TransactionConflictError);
+
+    await storage.close();
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+    expect(await storage.get('key')).toBe('tx1');
+  });
+});
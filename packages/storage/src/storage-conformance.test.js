@@ -0,0 +1,32 @@
+import { describe, afterAll } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { runStorageConformance } from './conformance.js';
+import { createStorage, EncryptedStorage, MemoryStorage, createStaticKeyProvider } from './index.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+const dir = await mkdtemp(join(tmpdir(), 'lfde-conformance-'));
+let fileCount = 0;
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+runStorageConformance(() => createStorage('memory'), { name: 'MemoryStorage conformance' });
+
+runStorageConformance(() => createStorage('file', { path: join(dir, `file-${fileCount++}`) }), { name: 'FileStorage conformance' });
+
+runStorageConformance(() => createStorage('indexeddb', { indexedDB: new IDBFactory(), IDBKeyRange, sweepInterval: 0 }), {
+  name: 'IndexedDBStorage conformance'
+});
+
+runStorageConformance(() => new EncryptedStorage(new MemoryStorage(), { keyProvider: createStaticKeyProvider(randomBytes(32)) }), {
+  name: 'EncryptedStorage conformance'
+});
+
+describe.skipIf(!hasSqlite)('SQLite', () => {
+  runStorageConformance(() => createStorage('sqlite', { sweepInterval: 0 }), { name: 'SQLiteStorage conformance' });
+});
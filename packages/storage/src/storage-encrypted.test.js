@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { randomBytes } from 'node:crypto';
+import { MemoryStorage, EncryptedStorage, EncryptedTransaction, createStaticKeyProvider } from './index.js';
+
+describe('EncryptedStorage', () => {
+  let inner;
+  let storage;
+  let key;
+
+  beforeEach(async () => {
+    key = randomBytes(32);
+    inner = new MemoryStorage();
+    storage = new EncryptedStorage(inner, { keyProvider: createStaticKeyProvider(key) });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should require a wrapped storage and a key provider', () => {
+    expect(() => new EncryptedStorage()).toThrow('EncryptedStorage requires a storage to wrap');
+    expect(() => new EncryptedStorage(inner)).toThrow('EncryptedStorage requires a keyProvider');
+  });
+
+  it('should round-trip values without storing plaintext', async () => {
+    await storage.put('user:1', { name: 'Alice', secret: 'hunter2' });
+
+    expect(await storage.get('user:1')).toEqual({ name: 'Alice', secret: 'hunter2' });
+    expect(await storage.get('missing')).toBe(null);
+
+    const raw = await inner.get('user:1');
+    expect(raw).toMatchObject({ v: 1, kid: 'default' });
+    expect(JSON.stringify(raw)).not.toContain('hunter2');
+  });
+
+  it('should use a fresh IV for every write', async () => {
+    await storage.put('a', 'same');
+    await storage.put('b', 'same');
+    expect((await inner.get('a')).data).not.toBe((await inner.get('b')).data);
+  });
+
+  it('should decrypt scan results and keep cursors working', async () => {
+    for (const k of ['n:1', 'n:2', 'n:3']) {
+      await storage.put(k, k.toUpperCase());
+    }
+
+    const first = await storage.scan({ prefix: 'n:', limit: 2 });
+    expect(first).toEqual([{ key: 'n:1', value: 'N:1' }, { key: 'n:2', value: 'N:2' }]);
+    const second = await storage.scan({ prefix: 'n:', limit: 2, cursor: first.cursor });
+    expect(second).toEqual([{ key: 'n:3', value: 'N:3' }]);
+  });
+
+  it('should encrypt writes made inside transactions and batches', async () => {
+    const tx = await storage.tx();
+    expect(tx).toBeInstanceOf(EncryptedTransaction);
+    await tx.put('tx', 'in transaction');
+    expect(await tx.get('tx')).toBe('in transaction');
+    await tx.commit();
+
+    await storage.batch([{ type: 'put', key: 'batch', value: 'in batch' }]);
+
+    expect(await storage.get('tx')).toBe('in transaction');
+    expect(await storage.get('batch')).toBe('in batch');
+    expect(JSON.stringify(await inner.scan())).not.toContain('in transaction');
+    expect(JSON.stringify(await inner.scan())).not.toContain('in batch');
+  });
+
+  it('should reject ciphertext that was tampered with or moved to another key', async () => {
+    await storage.put('a', 'secret');
+    const envelope = await inner.get('a');
+
+    await inner.put('b', envelope);
+    await expect(storage.get('b')).rejects.toThrow("Failed to decrypt value for key 'b'");
+
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    await inner.put('a', { ...envelope, data: data.toString('base64') });
+    await expect(storage.get('a')).rejects.toThrow("Failed to decrypt value for key 'a'");
+  });
+
+  it('should fail to decrypt with the wrong key', async () => {
+    await storage.put('a', 'secret');
+
+    const other = new EncryptedStorage(inner, { keyProvider: createStaticKeyProvider(randomBytes(32)) });
+    await other.open();
+    await expect(other.get('a')).rejects.toThrow("Failed to decrypt value for key 'a'");
+  });
+
+  it('should validate key length', async () => {
+    const invalid = new EncryptedStorage(new MemoryStorage(), { keyProvider: createStaticKeyProvider(randomBytes(16)) });
+    await invalid.open();
+    await expect(invalid.put('a', 1)).rejects.toThrow("Encryption key 'default' must be 32 bytes");
+  });
+
+  it('should decrypt values written with rotated keys', async () => {
+    const keys = { v1: key, v2: randomBytes(32) };
+    const provider = { currentKeyId: 'v1', getKey: async (id) => keys[id] };
+    const rotating = new EncryptedStorage(inner, { keyProvider: provider });
+    await rotating.open();
+
+    await rotating.put('old', 'written with v1');
+    provider.currentKeyId = 'v2';
+    await rotating.put('new', 'written with v2');
+
+    expect((await inner.get('old')).kid).toBe('v1');
+    expect((await inner.get('new')).kid).toBe('v2');
+
+    const fresh = new EncryptedStorage(inner, { keyProvider: provider });
+    await fresh.open();
+    expect(await fresh.get('old')).toBe('written with v1');
+    expect(await fresh.get('new')).toBe('written with v2');
+  });
+
+  it('should emit decrypted changes to watchers', async () => {
+    const changes = [];
+    storage.watch({ prefix: 'w:' }, (change) => changes.push(change));
+
+    await storage.put('w:1', 'one');
+    await storage.put('w:1', 'uno');
+    await storage.put('other', 'ignored');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(changes.map(({ key, value, oldValue }) => ({ key, value, oldValue }))).toEqual([
+      { key: 'w:1', value: 'one', oldValue: null },
+      { key: 'w:1', value: 'uno', oldValue: 'one' }
+    ]);
+  });
+});
+
+describe('EncryptedStorage with hashed keys', () => {
+  let inner;
+  let storage;
+  let provider;
+
+  beforeEach(async () => {
+    provider = createStaticKeyProvider(randomBytes(32));
+    inner = new MemoryStorage();
+    storage = new EncryptedStorage(inner, { keyProvider: provider, hashKeys: true });
+    await storage.open();
+    for (const k of ['user:2', 'user:1', 'post:1', 'user:3']) {
+      await storage.put(k, k);
+    }
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should not store plaintext keys', async () => {
+    const rawKeys = (await inner.scan()).map((entry) => entry.key);
+    expect(rawKeys).toHaveLength(4);
+    for (const rawKey of rawKeys) {
+      expect(rawKey).toMatch(/^[0-9a-f]{64}$/);
+    }
+    expect(await storage.get('user:1')).toBe('user:1');
+  });
+
+  it('should derive the same hashed keys across instances', async () => {
+    const other = new EncryptedStorage(inner, { keyProvider: provider, hashKeys: true });
+    await other.open();
+    expect(await other.get('user:2')).toBe('user:2');
+    expect(await other.del('user:2')).toBe(true);
+    expect(await storage.get('user:2')).toBe(null);
+  });
+
+  it('should scan by original key order with prefix, reverse and cursors', async () => {
+    const keysOf = (entries) => entries.map((entry) => entry.key);
+
+    expect(keysOf(await storage.scan({ prefix: 'user:' }))).toEqual(['user:1', 'user:2', 'user:3']);
+    expect(keysOf(await storage.scan({ reverse: true, limit: 2 }))).toEqual(['user:3', 'user:2']);
+
+    const first = await storage.scan({ prefix: 'user:', limit: 2 });
+    const second = await storage.scan({ prefix: 'user:', limit: 2, cursor: first.cursor });
+    expect(keysOf(second)).toEqual(['user:3']);
+  });
+
+  it('should filter watched changes by original key', async () => {
+    const feed = storage.watch({ prefix: 'post:' });
+    await storage.put('user:9', 'skipped');
+    await storage.del('post:1');
+
+    const { value } = await feed.next();
+    expect(value).toMatchObject({ type: 'del', key: 'post:1', value: null, oldValue: 'post:1' });
+    await feed.return();
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, appendFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createStorage, FileStorage, FileTransaction } from './index.js';
+
+describe('FileStorage', () => {
+  let dir;
+  let storage;
+
+  const reopen = async (options = {}) => {
+    await storage.close();
+    storage = new FileStorage({ path: dir, ...options });
+    await storage.open();
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-file-'));
+    storage = createStorage('file', { path: dir });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(dir, { recursive: true, force: true });
+    vi.useRealTimers();
+  });
+
+  it('should require a path', () => {
+    expect(() => createStorage('file')).toThrow('File storage requires a path');
+  });
+
+  it('should store, scan and delete values', async () => {
+    await storage.put('user:2', { name: 'Bob' });
+    await storage.put('user:1', { name: 'Alice' });
+
+    expect(await storage.get('user:1')).toEqual({ name: 'Alice' });
+    expect((await storage.scan({ prefix: 'user:' })).map((e) => e.key)).toEqual(['user:1', 'user:2']);
+    expect(await storage.del('user:2')).toBe(true);
+    expect(await storage.del('user:2')).toBe(false);
+  });
+
+  it('should persist writes across restarts', async () => {
+    await storage.put('a', 1);
+    await storage.put('b', { nested: [1, 2] });
+    await storage.del('a');
+
+    await reopen();
+    expect(await storage.get('a')).toBe(null);
+    expect(await storage.get('b')).toEqual({ nested: [1, 2] });
+  });
+
+  it('should persist committed transactions as a single log record', async () => {
+    const tx = await storage.tx();
+    expect(tx).toBeInstanceOf(FileTransaction);
+    await tx.put('a', 'A');
+    await tx.put('b', 'B');
+    await tx.commit();
+
+    const log = await readFile(join(dir, 'wal.log'), 'utf8');
+    expect(log.trim().split('\n')).toHaveLength(1);
+
+    await reopen();
+    expect(await storage.get('a')).toBe('A');
+    expect(await storage.get('b')).toBe('B');
+  });
+
+  it('should not persist rolled back transactions', async () => {
+    const tx = await storage.tx();
+    await tx.put('a', 'A');
+    await tx.rollback();
+
+    await reopen();
+    expect(await storage.get('a')).toBe(null);
+  });
+
+  it('should ignore a torn record at the end of the log', async () => {
+    await storage.put('a', 'A');
+    await storage.close();
+    await appendFile(join(dir, 'wal.log'), '{"seq":2,"ops":[{"t":"put","k":"b"');
+
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+    expect(await storage.get('a')).toBe('A');
+    expect(await storage.get('b')).toBe(null);
+
+    // 新记录不能追加在半行之后
+    await storage.put('c', 'C');
+    await reopen();
+    expect(await storage.get('c')).toBe('C');
+  });
+
+  it('should refuse to open a log corrupted in the middle', async () => {
+    await storage.put('a', 'A');
+    await storage.close();
+    const log = await readFile(join(dir, 'wal.log'), 'utf8');
+    await writeFile(join(dir, 'wal.log'), `garbage\n${log}`);
+
+    storage = new FileStorage({ path: dir });
+    await expect(storage.open()).rejects.toThrow('Corrupted write-ahead log at line 1');
+    storage.isOpen = false;
+  });
+
+  it('should compact the log into a snapshot', async () => {
+    await reopen({ compactThreshold: 3 });
+    await storage.put('a', 1);
+    await storage.put('b', 2);
+    await storage.put('c', 3);
+    // 压缩在提交之后排队执行，关闭时等待队列清空
+    await storage.close();
+
+    expect(await readFile(join(dir, 'wal.log'), 'utf8')).toBe('');
+    const snapshot = JSON.parse(await readFile(join(dir, 'snapshot.json'), 'utf8'));
+    expect(snapshot.entries).toEqual([['a', 1], ['b', 2], ['c', 3]]);
+
+    await storage.open();
+    await storage.put('d', 4);
+    await reopen();
+    expect((await storage.scan()).map((e) => e.value)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should resolve commits whose compaction fails', async () => {
+    await reopen({ compactThreshold: 1 });
+    const rename = storage.fs.rename;
+    storage.fs = { ...storage.fs, rename: async () => { throw new Error('disk full'); } };
+
+    await storage.put('a', 1);
+    await storage.close();
+    storage.fs = { ...storage.fs, rename };
+
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+    expect(await storage.get('a')).toBe(1);
+  });
+
+  it('should discard a log record whose write failed', async () => {
+    await storage.put('a', 1);
+    const { handle } = storage;
+    handle.sync = async () => {
+      delete handle.sync;
+      throw new Error('EIO');
+    };
+
+    await expect(storage.put('failed', true)).rejects.toThrow('EIO');
+    expect(await storage.get('failed')).toBe(null);
+    await storage.put('b', 2);
+    await reopen();
+
+    expect(await storage.get('failed')).toBe(null);
+    expect((await storage.scan()).map((e) => e.key)).toEqual(['a', 'b']);
+  });
+
+  it('should refuse writes when a failed record cannot be discarded', async () => {
+    const { handle } = storage;
+    handle.write = async () => { throw new Error('EIO'); };
+    handle.truncate = async () => { throw new Error('EROFS'); };
+
+    await expect(storage.put('a', 1)).rejects.toThrow('EIO');
+    await expect(storage.put('b', 2)).rejects.toThrow('Storage failed after a write-ahead log error and must be reopened');
+    expect(storage.healthCheck().status).toBe('failed');
+
+    delete handle.write;
+    delete handle.truncate;
+    await reopen();
+    expect(storage.healthCheck().status).toBe('ok');
+  });
+
+  it('should skip log records already contained in the snapshot', async () => {
+    await storage.put('counter', 1);
+    await storage.put('counter', 2);
+    const log = await readFile(join(dir, 'wal.log'), 'utf8');
+    await storage.compact();
+    await storage.close();
+
+    // 模拟快照写入后、日志清空前崩溃
+    await writeFile(join(dir, 'wal.log'), log);
+    await appendFile(join(dir, 'wal.log'), `${JSON.stringify({ seq: 3, ops: [{ t: 'put', k: 'other', v: true }] })}\n`);
+
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+    expect(await storage.get('counter')).toBe(2);
+    expect(await storage.get('other')).toBe(true);
+  });
+
+  it('should compact periodically when an interval is set', async () => {
+    vi.useFakeTimers();
+    await reopen({ compactInterval: 10 });
+    await storage.put('a', 1);
+    vi.advanceTimersByTime(10);
+    // 定时器触发的压缩已经排入写入队列，等待队列清空即可
+    await storage.queue;
+    expect(storage.logRecords).toBe(0);
+
+    expect(await readFile(join(dir, 'wal.log'), 'utf8')).toBe('');
+    expect(JSON.parse(await readFile(join(dir, 'snapshot.json'), 'utf8')).entries).toEqual([['a', 1]]);
+  });
+
+  it('should keep concurrent writes in order', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => storage.put('key', i)));
+    expect(await storage.get('key')).toBe(19);
+
+    await reopen();
+    expect(await storage.get('key')).toBe(19);
+  });
+
+  it('should throw when operating on closed storage', async () => {
+    await storage.close();
+    await expect(storage.put('a', 1)).rejects.toThrow('Storage is not open');
+    await expect(storage.compact()).rejects.toThrow('Storage is not open');
+    await storage.open();
+  });
+});
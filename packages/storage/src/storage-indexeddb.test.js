@@ -0,0 +1,235 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { IndexedDBStorage, IndexedDBTransaction, TransactionConflictError, createStorage } from './index.js';
+
+// fake-indexeddb 用定时器调度请求，只能伪造 Date
+const useFakeClock = () => vi.useFakeTimers({ toFake: ['Date'] });
+const keysOf = (entries) => entries.map((entry) => entry.key);
+
+describe('IndexedDBStorage', () => {
+  let indexedDB;
+  let storage;
+
+  const create = (options = {}) => createStorage('indexeddb', { indexedDB, IDBKeyRange, sweepInterval: 0, ...options });
+
+  beforeEach(async () => {
+    indexedDB = new IDBFactory();
+    storage = create();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    vi.useRealTimers();
+  });
+
+  it('should put, get and delete values', async () => {
+    expect(storage).toBeInstanceOf(IndexedDBStorage);
+    await storage.put('user:1', { name: 'Alice', joined: new Date(0) });
+    await storage.put('zero', 0);
+
+    expect(await storage.get('user:1')).toEqual({ name: 'Alice', joined: new Date(0) });
+    expect(await storage.get('zero')).toBe(0);
+    expect(await storage.get('missing')).toBe(null);
+    expect(await storage.del('user:1')).toBe(true);
+    expect(await storage.del('user:1')).toBe(false);
+    expect(await storage.get('user:1')).toBe(null);
+  });
+
+  it('should persist data across connections', async () => {
+    await storage.put('a', 1);
+    await storage.close();
+
+    storage = create();
+    await storage.open();
+    expect(await storage.get('a')).toBe(1);
+  });
+
+  it('should scan with ordered key cursors', async () => {
+    for (const k of ['user:3', 'post:1', 'user:1', 'user:2', 'user;', 'user']) {
+      await storage.put(k, k);
+    }
+
+    expect(keysOf(await storage.scan())).toEqual(['post:1', 'user', 'user:1', 'user:2', 'user:3', 'user;']);
+    expect(keysOf(await storage.scan({ prefix: 'user:' }))).toEqual(['user:1', 'user:2', 'user:3']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', reverse: true }))).toEqual(['user:3', 'user:2', 'user:1']);
+    expect(keysOf(await storage.scan({ gt: 'user:1', lte: 'user:3' }))).toEqual(['user:2', 'user:3']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', gte: 'user:2', lt: 'user:3' }))).toEqual(['user:2']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', offset: 1, limit: 1 }))).toEqual(['user:2']);
+    expect(await storage.scan({ gt: 'b', lt: 'a' })).toEqual([]);
+    expect(await storage.scan({ gt: 'a', lte: 'a' })).toEqual([]);
+  });
+
+  it('should page through results with cursors in both directions', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await storage.put(`n:${i}`, i);
+    }
+
+    const pages = [];
+    let cursor;
+    do {
+      const page = await storage.scan({ prefix: 'n:', limit: 2, reverse: true, cursor });
+      pages.push(keysOf(page));
+      cursor = page.cursor;
+    } while (cursor);
+    expect(pages).toEqual([['n:5', 'n:4'], ['n:3', 'n:2'], ['n:1']]);
+
+    const collected = [];
+    for await (const { key } of storage.iterate({ prefix: 'n:', pageSize: 2 })) {
+      collected.push(key);
+    }
+    expect(collected).toEqual(['n:1', 'n:2', 'n:3', 'n:4', 'n:5']);
+  });
+
+  it('should keep each namespace in its own object store', async () => {
+    const users = create({ store: 'users' });
+    await users.open();
+    await users.put('1', 'Alice');
+    await storage.put('1', 'default store');
+
+    expect(await users.get('1')).toBe('Alice');
+    expect(await storage.get('1')).toBe('default store');
+
+    const db = await users.connection;
+    expect([...db.objectStoreNames]).toEqual(['kv', 'users']);
+    await users.close();
+  });
+
+  it('should reconnect after another connection upgrades the database', async () => {
+    await storage.put('a', 1);
+    const posts = create({ store: 'posts' });
+    await posts.open();
+
+    expect(await storage.get('a')).toBe(1);
+    await storage.put('b', 2);
+    await posts.close();
+  });
+
+  it('should commit transactions atomically', async () => {
+    await storage.put('balance:a', 100);
+    const tx = await storage.tx();
+    expect(tx).toBeInstanceOf(IndexedDBTransaction);
+
+    await tx.put('balance:a', 70);
+    await tx.put('balance:b', 30);
+    expect(await tx.get('balance:a')).toBe(70);
+    expect(await storage.get('balance:b')).toBe(null);
+    await tx.commit();
+
+    expect(await storage.get('balance:a')).toBe(70);
+    expect(await storage.get('balance:b')).toBe(30);
+    await expect(tx.put('x', 1)).rejects.toThrow('Transaction has already been committed');
+  });
+
+  it('should discard changes on rollback', async () => {
+    const tx = await storage.tx();
+    await tx.put('a', 1);
+    await tx.del('b');
+    await tx.rollback();
+
+    expect(await storage.get('a')).toBe(null);
+    await expect(tx.commit()).rejects.toThrow('Transaction has already been rolled back');
+  });
+
+  it('should detect conflicts on keys read by a transaction', async () => {
+    await storage.put('counter', 10);
+    const tx = await storage.tx();
+    expect(await tx.get('counter')).toBe(10);
+    await storage.put('counter', 20);
+    await tx.put('counter', 11);
+
+    const error = await tx.commit().catch((e) => e);
+    expect(error).toBeInstanceOf(TransactionConflictError);
+    expect(error.key).toBe('counter');
+    expect(await storage.get('counter')).toBe(20);
+
+    await storage.runTransaction(async (t) => {
+      await t.put('counter', (await t.get('counter')) + 1);
+    });
+    expect(await storage.get('counter')).toBe(21);
+  });
+
+  it('should apply batches in one commit and emit changes', async () => {
+    const changes = [];
+    storage.watch({ prefix: 'b:' }, (change) => changes.push(change));
+    await storage.put('b:1', 'old');
+
+    await storage.batch([
+      { type: 'put', key: 'b:2', value: 'two' },
+      { type: 'del', key: 'b:1' },
+      { type: 'put', key: 'other', value: 'ignored' }
+    ]);
+
+    expect(changes).toEqual([
+      { type: 'put', key: 'b:1', value: 'old', oldValue: null, version: 1 },
+      {
+        type: 'batch',
+        version: 2,
+        changes: [
+          { type: 'put', key: 'b:2', value: 'two', oldValue: null, version: 2 },
+          { type: 'del', key: 'b:1', value: null, oldValue: 'old', version: 2 }
+        ]
+      }
+    ]);
+  });
+
+  it('should leave the store unchanged when a batch fails', async () => {
+    await expect(storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 'b', value: () => {} }
+    ])).rejects.toThrow();
+
+    expect(await storage.get('a')).toBe(null);
+  });
+
+  it('should expire keys lazily and on sweep', async () => {
+    useFakeClock();
+    const feed = storage.watch();
+    await storage.put('short', 1, { ttl: 10 });
+    await storage.put('swept', 2, { ttl: 10 });
+    await storage.put('kept', 3);
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.get('short')).toBe(null);
+    expect(keysOf(await storage.scan())).toEqual(['kept']);
+
+    // 读取路径在后台清理过期键，等到 expire 变更发出后再检查 sweep
+    const types = [];
+    for (let i = 0; i < 5; i++) {
+      const { value } = await feed.next();
+      types.push(`${value.type}:${value.key}`);
+    }
+    expect(types).toEqual(['put:short', 'put:swept', 'put:kept', 'expire:short', 'expire:swept']);
+    expect(await storage.sweep()).toBe(0);
+    await feed.return();
+  });
+
+  it('should sweep expired keys through the expiry index', async () => {
+    useFakeClock();
+    await storage.put('a', 1, { ttl: 10 });
+    await storage.put('b', 2, { expiresAt: Date.now() + 60000 });
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.sweep()).toBe(1);
+    const db = await storage.connection;
+    const count = await new Promise((resolve) => {
+      const request = db.transaction('kv').objectStore('kv').count();
+      request.onsuccess = () => resolve(request.result);
+    });
+    expect(count).toBe(1);
+  });
+
+  it('should reject unsupported options', () => {
+    expect(() => create({ maxBytes: 1024 })).toThrow('IndexedDBStorage does not support maxBytes');
+    expect(() => create({ store: '' })).toThrow("Invalid IndexedDB store name ''");
+  });
+
+  it('should report health', async () => {
+    expect(storage.healthCheck()).toEqual({ status: 'ok', open: true });
+    await storage.close();
+    expect(storage.healthCheck()).toEqual({ status: 'failed', open: false });
+    await expect(storage.get('a')).rejects.toThrow('Storage is not open');
+    storage = create();
+    await storage.open();
+  });
+});
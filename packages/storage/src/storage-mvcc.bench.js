@@ -0,0 +1,20 @@
+import { describe, bench } from 'vitest';
+import { MemoryStorage } from './index.js';
+
+const KEY_COUNT = 200000;
+
+const storage = new MemoryStorage({ sweepInterval: 0 });
+await storage.open();
+await storage.batch(Array.from({ length: KEY_COUNT }, (_, i) => ({ type: 'put', key: `key:${String(i).padStart(6, '0')}`, value: i })));
+
+// 打开事务的耗时应与存储大小无关，对照组是复制一次整张表（旧实现每个事务都要这样做）
+describe(`MemoryStorage transactions over ${KEY_COUNT} keys`, () => {
+  bench('open and roll back a transaction', async () => {
+    const tx = await storage.tx();
+    await tx.rollback();
+  });
+
+  bench('copy the whole table', () => {
+    new Map(storage.data);
+  });
+});
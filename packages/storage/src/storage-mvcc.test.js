@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MemoryStorage } from './index.js';
+
+describe('MemoryStorage MVCC snapshots', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    await storage.put('a', 'a0');
+    await storage.put('b', 'b0');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should read a point-in-time view across later writes', async () => {
+    const tx = await storage.tx();
+    await storage.put('a', 'a1');
+    await storage.put('a', 'a2');
+    await storage.del('b');
+    await storage.put('c', 'c1');
+
+    expect(await tx.get('a')).toBe('a0');
+    expect(await tx.get('b')).toBe('b0');
+    expect(await tx.get('c')).toBe(null);
+    expect(await storage.get('a')).toBe('a2');
+    await tx.rollback();
+  });
+
+  it('should give each transaction the view of its own start time', async () => {
+    const tx1 = await storage.tx();
+    await storage.put('a', 'a1');
+    const tx2 = await storage.tx();
+    await storage.put('a', 'a2');
+    const tx3 = await storage.tx();
+    await storage.del('a');
+
+    expect(await tx1.get('a')).toBe('a0');
+    expect(await tx2.get('a')).toBe('a1');
+    expect(await tx3.get('a')).toBe('a2');
+    expect(await storage.get('a')).toBe(null);
+
+    await tx2.rollback();
+    expect(await tx1.get('a')).toBe('a0');
+    expect(await tx3.get('a')).toBe('a2');
+    await tx1.rollback();
+    expect(await tx3.get('a')).toBe('a2');
+    await tx3.rollback();
+  });
+
+  it('should see versions overwritten by transaction commits', async () => {
+    const reader = await storage.tx();
+    const writer = await storage.tx();
+    await writer.put('a', 'a1');
+    await writer.del('b');
+    await writer.commit();
+
+    expect(await reader.get('a')).toBe('a0');
+    expect(await reader.get('b')).toBe('b0');
+    await reader.rollback();
+  });
+
+  it('should not keep history when no transaction is active', async () => {
+    await storage.put('a', 'a1');
+    await storage.del('b');
+    expect(storage.history.size).toBe(0);
+  });
+
+  it('should garbage-collect old versions once transactions end', async () => {
+    const tx1 = await storage.tx();
+    await storage.put('a', 'a1');
+    const tx2 = await storage.tx();
+    await storage.put('a', 'a2');
+    await storage.put('b', 'b1');
+    expect(storage.history.get('a')).toHaveLength(2);
+
+    // tx1 结束后，只有 tx2 仍需要 a1，a0 与 b0 都不再可达
+    await tx1.rollback();
+    expect(storage.history.get('a').map((entry) => entry.value)).toEqual(['a1']);
+    expect(storage.history.get('b').map((entry) => entry.value)).toEqual(['b0']);
+    expect(await tx2.get('a')).toBe('a1');
+
+    await tx2.rollback();
+    expect(storage.history.size).toBe(0);
+    expect(storage.snapshots.size).toBe(0);
+    expect(storage.versions.size).toBe(0);
+  });
+
+  it('should forget versions of deleted keys once transactions end', async () => {
+    const tx = await storage.tx();
+    for (let i = 0; i < 100; i++) {
+      await storage.put(`k${i}`, i);
+      await storage.del(`k${i}`);
+    }
+    expect(storage.versions.size).toBe(2 + 100);
+
+    await tx.rollback();
+    expect(storage.data.size).toBe(2);
+    expect(storage.history.size).toBe(0);
+    expect(storage.versions.size).toBe(0);
+  });
+
+  it('should forget versions of deleted keys once no remaining snapshot needs them', async () => {
+    const tx1 = await storage.tx();
+    await storage.del('b');
+    const tx2 = await storage.tx();
+    await storage.put('c', 'c0');
+    await storage.del('c');
+
+    await tx1.rollback();
+    // b 在 tx2 之前删除，不再需要版本；c 在 tx2 之后删除，仍要用于冲突检查
+    expect(storage.versions.has('b')).toBe(false);
+    expect(storage.versions.has('c')).toBe(true);
+    expect(await tx2.get('b')).toBe(null);
+    expect(await tx2.get('c')).toBe(null);
+    await tx2.rollback();
+  });
+
+  it('should keep old versions while another transaction shares the snapshot', async () => {
+    const tx1 = await storage.tx();
+    const tx2 = await storage.tx();
+    await storage.put('a', 'a1');
+
+    await tx1.rollback();
+    expect(await tx2.get('a')).toBe('a0');
+    await tx2.rollback();
+    expect(storage.history.size).toBe(0);
+  });
+});
+
+describe('MemoryStorage MVCC transaction cost', () => {
+  const KEY_COUNT = 1000;
+  const TRANSACTIONS = 100;
+  const PER_KEY_STATE = ['data', 'sortedKeys', 'expiries', 'sizes', 'versions', 'history'];
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    await storage.batch(Array.from({ length: KEY_COUNT }, (_, i) => ({ type: 'put', key: `key:${String(i).padStart(6, '0')}`, value: i })));
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  // 记录对按键保存的状态的任何访问；打开事务只应登记快照版本，不遍历、不复制这些状态
+  const trackAccess = () => {
+    const accessed = [];
+    const originals = {};
+    for (const name of PER_KEY_STATE) {
+      const target = storage[name];
+      originals[name] = target;
+      storage[name] = new Proxy(target, {
+        get(obj, prop) {
+          accessed.push(`${name}.${String(prop)}`);
+          const value = Reflect.get(obj, prop, obj);
+          return typeof value === 'function' ? value.bind(obj) : value;
+        }
+      });
+    }
+    return { accessed, restore: () => Object.assign(storage, originals) };
+  };
+
+  it('should open transactions without touching per-key state', async () => {
+    const { accessed, restore } = trackAccess();
+    const transactions = [];
+    for (let i = 0; i < TRANSACTIONS; i++) {
+      transactions.push(await storage.tx());
+    }
+    restore();
+
+    expect(accessed).toEqual([]);
+    expect([...storage.snapshots]).toEqual([[storage.version, TRANSACTIONS]]);
+    expect(transactions.every((tx) => tx.changes.size === 0 && tx.reads.size === 0)).toBe(true);
+
+    await storage.put('key:000001', -1);
+    for (const tx of transactions) {
+      expect(await tx.get('key:000001')).toBe(1);
+      await tx.rollback();
+    }
+    expect(storage.history.size).toBe(0);
+    expect(storage.snapshots.size).toBe(0);
+  });
+
+  it('should only record history for keys written while transactions are open', async () => {
+    const tx = await storage.tx();
+    await storage.batch([
+      { type: 'put', key: 'key:000001', value: -1 },
+      { type: 'del', key: 'key:000002' }
+    ]);
+
+    expect([...storage.history.keys()]).toEqual(['key:000001', 'key:000002']);
+    expect(await tx.get('key:000002')).toBe(2);
+    await tx.rollback();
+    expect(storage.history.size).toBe(0);
+  });
+});
@@ -0,0 +1,303 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryStorage, FileStorage, QuotaExceededError, TransactionConflictError, createStorage, estimateSize } from './index.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+describe('estimateSize', () => {
+  it('should count UTF-8 bytes of the key and the JSON value', () => {
+    expect(estimateSize('a', 'bc')).toBe(5);
+    expect(estimateSize('键', { n: 1 })).toBe(3 + 7);
+    expect(estimateSize('f', () => {})).toBe(1);
+  });
+
+  it('should estimate values JSON cannot serialize without throwing', () => {
+    const cyclic = { n: 1 };
+    cyclic.self = cyclic;
+
+    expect(estimateSize('a', 12345678901234567890n)).toBe(1 + 20);
+    expect(estimateSize('a', cyclic)).toBe(estimateSize('a', { n: 1 }));
+    expect(estimateSize('a', new Map([['k', 'x'.repeat(100)]]))).toBeGreaterThan(100);
+    expect(estimateSize('a', new Set(['x'.repeat(100)]))).toBeGreaterThan(100);
+    expect(estimateSize('a', new Uint8Array(100))).toBe(101);
+  });
+});
+
+describe('MemoryStorage quota', () => {
+  let storage;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    storage = createStorage('memory', { maxBytes: 100, sweepInterval: 0 });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    vi.useRealTimers();
+  });
+
+  it('should validate maxBytes', () => {
+    expect(() => new MemoryStorage({ maxBytes: 0 })).toThrow('maxBytes must be a positive number of bytes');
+    expect(() => new MemoryStorage({ maxBytes: '1kb' })).toThrow('maxBytes must be a positive number of bytes');
+  });
+
+  it('should track bytes per key and in total', async () => {
+    await storage.put('users:1', 'Alice');
+    await storage.put('users:2', 'Bob');
+    await storage.put('posts:1', 'hi');
+    await storage.put('flag', true);
+
+    expect(await storage.stats()).toEqual({
+      keys: 4,
+      bytes: 14 + 12 + 11 + 8,
+      maxBytes: 100,
+      prefixes: {
+        'users:': { keys: 2, bytes: 26 },
+        'posts:': { keys: 1, bytes: 11 },
+        '': { keys: 1, bytes: 8 }
+      }
+    });
+
+    await storage.put('users:1', 'Al');
+    await storage.del('users:2');
+    expect(storage.bytes).toBe(11 + 11 + 8);
+  });
+
+  it('should reject writes that exceed the budget without applying them', async () => {
+    await storage.put('a', 'x'.repeat(80));
+
+    const error = await storage.put('b', 'x'.repeat(20)).catch((e) => e);
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error).toMatchObject({ bytes: 83 + 23, maxBytes: 100 });
+    expect(error.message).toBe('Storage quota exceeded: 106 bytes would exceed the limit of 100 bytes');
+    expect(await storage.get('b')).toBe(null);
+
+    await expect(storage.batch([
+      { type: 'put', key: 'c', value: 1 },
+      { type: 'put', key: 'd', value: 'x'.repeat(20) }
+    ])).rejects.toThrow(QuotaExceededError);
+    expect(await storage.get('c')).toBe(null);
+  });
+
+  it('should account for overwrites and deletes in the same commit', async () => {
+    await storage.put('a', 'x'.repeat(80));
+
+    await storage.batch([
+      { type: 'del', key: 'a' },
+      { type: 'put', key: 'b', value: 'x'.repeat(80) }
+    ]);
+    await storage.put('b', 'y'.repeat(80));
+    expect(storage.bytes).toBe(83);
+  });
+
+  it('should reject transaction commits that exceed the budget', async () => {
+    const tx = await storage.tx();
+    await tx.put('a', 'x'.repeat(60));
+    await tx.put('b', 'x'.repeat(60));
+
+    await expect(tx.commit()).rejects.toThrow(QuotaExceededError);
+    expect(storage.data.size).toBe(0);
+  });
+
+  it('should reap expired keys in the same commit before rejecting writes over the budget', async () => {
+    const events = [];
+    storage.watch({}, (event) => events.push(event));
+    await storage.put('a', 'x'.repeat(80), { ttl: 10 });
+    vi.advanceTimersByTime(20);
+
+    expect(storage.bytes).toBe(83);
+    await storage.put('b', 'x'.repeat(80));
+    expect(await storage.get('b')).toBe('x'.repeat(80));
+    expect(storage.bytes).toBe(83);
+    expect(events[1]).toEqual({
+      type: 'batch',
+      version: 2,
+      changes: [
+        { type: 'expire', key: 'a', value: null, oldValue: 'x'.repeat(80), version: 2 },
+        { type: 'put', key: 'b', value: 'x'.repeat(80), oldValue: null, version: 2 }
+      ]
+    });
+    await expect(storage.put('c', 'x'.repeat(80))).rejects.toThrow(QuotaExceededError);
+  });
+
+  it('should report stats without a limit', async () => {
+    const unlimited = new MemoryStorage();
+    await unlimited.open();
+    await unlimited.put('a', 1);
+
+    expect(await unlimited.stats()).toEqual({ keys: 1, bytes: 2, maxBytes: null, prefixes: { '': { keys: 1, bytes: 2 } } });
+    await unlimited.close();
+  });
+
+  it('should store values JSON cannot serialize without a quota', async () => {
+    const unlimited = new MemoryStorage({ sweepInterval: 0 });
+    await unlimited.open();
+    const cyclic = { n: 1 };
+    cyclic.self = cyclic;
+
+    await unlimited.put('big', 10n);
+    await unlimited.put('cyclic', cyclic);
+    await unlimited.batch([
+      { type: 'put', key: 'p', value: 1 },
+      { type: 'put', key: 'q', value: 5n },
+      { type: 'put', key: 'r', value: new Map([['k', 3]]) }
+    ]);
+
+    expect(await unlimited.get('big')).toBe(10n);
+    expect((await unlimited.get('cyclic')).self.n).toBe(1);
+    expect(await unlimited.get('r')).toEqual(new Map([['k', 3]]));
+    expect(unlimited.version).toBe(3);
+    expect(unlimited.bytes).toBe([...unlimited.sizes.values()].reduce((sum, size) => sum + size, 0));
+    await unlimited.close();
+  });
+
+  it('should count Map and Set contents towards the budget', async () => {
+    await expect(storage.put('m', new Map([['k', 'x'.repeat(100)]]))).rejects.toThrow(QuotaExceededError);
+    await expect(storage.batch([
+      { type: 'put', key: 'a', value: 1 },
+      { type: 'put', key: 's', value: new Set(['x'.repeat(100)]) }
+    ])).rejects.toThrow(QuotaExceededError);
+
+    expect(storage.data.size).toBe(0);
+    expect(storage.bytes).toBe(0);
+    expect(storage.version).toBe(0);
+  });
+
+  it('should compute stats for namespaced views through the contract', async () => {
+    const users = storage.sub('users');
+    await users.put('admins:1', 'root');
+    await users.put('2', 'Bob');
+
+    const stats = await users.stats();
+    expect(stats.keys).toBe(2);
+    expect(Object.keys(stats.prefixes).sort()).toEqual(['', 'admins:']);
+  });
+});
+
+describe('FileStorage quota', () => {
+  let dir;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    dir = await mkdtemp(join(tmpdir(), 'lfde-quota-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+    vi.useRealTimers();
+  });
+
+  it('should reject writes before logging them and restore sizes on open', async () => {
+    const storage = createStorage('file', { path: dir, maxBytes: 50 });
+    await storage.open();
+    await storage.put('a', 'x'.repeat(40));
+    await expect(storage.put('b', 'x'.repeat(40))).rejects.toThrow(QuotaExceededError);
+    await storage.close();
+
+    const reopened = new FileStorage({ path: dir, maxBytes: 50 });
+    await reopened.open();
+    expect(await reopened.get('b')).toBe(null);
+    expect(reopened.bytes).toBe(43);
+    await reopened.close();
+  });
+
+  it('should log expired keys reaped to make room for a write', async () => {
+    const storage = createStorage('file', { path: dir, maxBytes: 50 });
+    await storage.open();
+    await storage.put('a', 'x'.repeat(40), { ttl: 10 });
+    vi.advanceTimersByTime(20);
+    await storage.put('b', 'x'.repeat(40));
+    await storage.close();
+
+    const reopened = new FileStorage({ path: dir, maxBytes: 50 });
+    await reopened.open();
+    expect(reopened.data.has('a')).toBe(false);
+    expect(reopened.bytes).toBe(43);
+    await reopened.close();
+  });
+});
+
+describe.skipIf(!hasSqlite)('SQLiteStorage quota', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should reap expired keys in the same commit before rejecting writes over the budget', async () => {
+    vi.useFakeTimers();
+    const storage = createStorage('sqlite', { maxBytes: 50, sweepInterval: 0 });
+    await storage.open();
+    await storage.put('a', 'x'.repeat(40), { ttl: 10 });
+    vi.advanceTimersByTime(30);
+
+    await storage.put('b', 'x'.repeat(40));
+    expect(await storage.get('b')).toBe('x'.repeat(40));
+    expect(storage.bytes).toBe(43);
+    expect(Number(storage.statements.bytes.get().bytes)).toBe(43);
+    await expect(storage.put('c', 'x'.repeat(40))).rejects.toThrow(QuotaExceededError);
+    await storage.close();
+  });
+
+  it('should not count expired keys as freed when the commit that found them rolls back', async () => {
+    vi.useFakeTimers();
+    const storage = createStorage('sqlite', { maxBytes: 100, sweepInterval: 0 });
+    await storage.open();
+    await storage.put('a', 'x'.repeat(40), { ttl: 10 });
+    const tx = await storage.tx();
+    expect(await tx.get('a')).toBe('x'.repeat(40));
+    await tx.put('b', 1);
+    vi.advanceTimersByTime(30);
+
+    await expect(tx.commit()).rejects.toThrow(TransactionConflictError);
+    expect(storage.bytes).toBe(Number(storage.statements.bytes.get().bytes));
+    await storage.close();
+  });
+
+  it('should roll back commits that exceed the budget', async () => {
+    const storage = createStorage('sqlite', { maxBytes: 50, sweepInterval: 0 });
+    await storage.open();
+
+    await storage.put('a', 'x'.repeat(40));
+    await expect(storage.put('b', 'x'.repeat(40))).rejects.toThrow(QuotaExceededError);
+    expect(await storage.get('b')).toBe(null);
+    await storage.put('a', 'y'.repeat(40));
+
+    expect(await storage.stats()).toEqual({ keys: 1, bytes: 43, maxBytes: 50, prefixes: { '': { keys: 1, bytes: 43 } } });
+    await storage.close();
+  });
+
+  it('should keep a running byte total without summing the table on each commit', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'lfde-quota-'));
+    const path = join(dir, 'kv.db');
+    const storage = createStorage('sqlite', { path, maxBytes: 100, sweepInterval: 0 });
+    await storage.open();
+    await storage.put('a', 'x'.repeat(40));
+    await storage.close();
+
+    const reopened = createStorage('sqlite', { path, maxBytes: 100, sweepInterval: 0 });
+    await reopened.open();
+    expect(reopened.bytes).toBe(43);
+    const sum = reopened.statements.bytes;
+    reopened.statements.bytes = { get: () => { throw new Error('summed the table'); } };
+
+    await reopened.batch([
+      { type: 'put', key: 'a', value: 'y'.repeat(20) },
+      { type: 'put', key: 'b', value: 'x'.repeat(40) }
+    ]);
+    expect(reopened.bytes).toBe(23 + 43);
+    await reopened.del('b');
+    await reopened.put('c', 'x'.repeat(40), { expiresAt: Date.now() - 1 });
+    expect(reopened.bytes).toBe(23 + 43);
+    expect(await reopened.get('c')).toBe(null);
+    await reopened.put('d', 'x'.repeat(40), { expiresAt: Date.now() - 1 });
+    expect(await reopened.sweep()).toBe(1);
+    expect(reopened.bytes).toBe(23);
+
+    reopened.statements.bytes = sum;
+    expect(Number(sum.get().bytes)).toBe(23);
+    await reopened.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+});
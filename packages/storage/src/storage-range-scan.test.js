@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MemoryStorage, encodeCursor, decodeCursor } from './index.js';
+
+describe('MemoryStorage range scans', () => {
+  let storage;
+
+  const keysOf = (entries) => entries.map((entry) => entry.key);
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    // 故意乱序写入，验证结果按字典序返回
+    for (const key of ['b', 'user:3', 'a', 'user:1', 'c', 'user:2', 'post:1']) {
+      await storage.put(key, key.toUpperCase());
+    }
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should return keys in lexicographic order', async () => {
+    const results = await storage.scan();
+    expect(keysOf(results)).toEqual(['a', 'b', 'c', 'post:1', 'user:1', 'user:2', 'user:3']);
+    expect(results[0]).toEqual({ key: 'a', value: 'A' });
+  });
+
+  it('should support gt/gte/lt/lte bounds', async () => {
+    expect(keysOf(await storage.scan({ gte: 'b', lt: 'post:1' }))).toEqual(['b', 'c']);
+    expect(keysOf(await storage.scan({ gt: 'b', lte: 'post:1' }))).toEqual(['c', 'post:1']);
+    expect(keysOf(await storage.scan({ gt: 'user:3' }))).toEqual([]);
+    expect(keysOf(await storage.scan({ gte: 'z', lt: 'a' }))).toEqual([]);
+  });
+
+  it('should combine prefix with bounds', async () => {
+    expect(keysOf(await storage.scan({ prefix: 'user:', gt: 'user:1' }))).toEqual(['user:2', 'user:3']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', lt: 'user:3' }))).toEqual(['user:1', 'user:2']);
+  });
+
+  it('should scan in reverse order', async () => {
+    expect(keysOf(await storage.scan({ prefix: 'user:', reverse: true }))).toEqual(['user:3', 'user:2', 'user:1']);
+    expect(keysOf(await storage.scan({ lte: 'b', reverse: true, limit: 1 }))).toEqual(['b']);
+  });
+
+  it('should apply offset before limit', async () => {
+    expect(keysOf(await storage.scan({ offset: 2, limit: 2 }))).toEqual(['c', 'post:1']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', offset: 1, reverse: true }))).toEqual(['user:2', 'user:1']);
+  });
+
+  it('should resume a scan from the returned cursor', async () => {
+    const first = await storage.scan({ prefix: 'user:', limit: 2 });
+    expect(keysOf(first)).toEqual(['user:1', 'user:2']);
+    expect(typeof first.cursor).toBe('string');
+
+    const second = await storage.scan({ prefix: 'user:', limit: 2, cursor: first.cursor });
+    expect(keysOf(second)).toEqual(['user:3']);
+    expect(second.cursor).toBe(null);
+  });
+
+  it('should resume a reverse scan from the returned cursor', async () => {
+    const first = await storage.scan({ reverse: true, limit: 3 });
+    expect(keysOf(first)).toEqual(['user:3', 'user:2', 'user:1']);
+
+    const second = await storage.scan({ reverse: true, limit: 3, cursor: first.cursor });
+    expect(keysOf(second)).toEqual(['post:1', 'c', 'b']);
+  });
+
+  it('should keep resuming correctly after writes between pages', async () => {
+    const first = await storage.scan({ limit: 2 });
+    await storage.put('aa', 'AA');
+    await storage.put('bb', 'BB');
+    await storage.del('c');
+
+    const second = await storage.scan({ limit: 2, cursor: first.cursor });
+    expect(keysOf(second)).toEqual(['bb', 'post:1']);
+  });
+
+  it('should not return a cursor when no limit is set', async () => {
+    const results = await storage.scan({ prefix: 'user:' });
+    expect(results.cursor).toBe(null);
+  });
+
+  it('should reject invalid cursors and direction mismatches', async () => {
+    await expect(storage.scan({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid scan cursor');
+    await expect(storage.scan({ cursor: encodeCursor('b', true) })).rejects.toThrow('Scan cursor does not match scan direction');
+  });
+
+  it('should round-trip unicode keys through cursors', () => {
+    expect(decodeCursor(encodeCursor('用户:1', true))).toEqual({ key: '用户:1', reverse: true });
+  });
+
+  it('should not return keys removed from the index', async () => {
+    await storage.del('b');
+    const tx = await storage.tx();
+    await tx.del('c');
+    await tx.put('d', 'D');
+    await tx.commit();
+
+    expect(keysOf(await storage.scan({ lt: 'post:' }))).toEqual(['a', 'd']);
+  });
+});
+
+describe('MemoryStorage iterate', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    for (let i = 0; i < 25; i++) {
+      await storage.put(`item:${String(i).padStart(2, '0')}`, i);
+    }
+    await storage.put('other', -1);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should iterate all matching entries across pages', async () => {
+    const values = [];
+    for await (const entry of storage.iterate({ prefix: 'item:', pageSize: 4 })) {
+      values.push(entry.value);
+    }
+    expect(values).toEqual(Array.from({ length: 25 }, (_, i) => i));
+  });
+
+  it('should respect limit, offset and reverse', async () => {
+    const values = [];
+    for await (const entry of storage.iterate({ prefix: 'item:', reverse: true, offset: 2, limit: 5, pageSize: 2 })) {
+      values.push(entry.value);
+    }
+    expect(values).toEqual([22, 21, 20, 19, 18]);
+  });
+
+  it('should stop early when the consumer breaks', async () => {
+    let count = 0;
+    for await (const entry of storage.iterate({ pageSize: 3 })) {
+      count++;
+      if (entry.key === 'item:04') break;
+    }
+    expect(count).toBe(5);
+  });
+});
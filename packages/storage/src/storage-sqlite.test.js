@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createStorage, SQLiteStorage, SQLiteTransaction, TransactionConflictError } from './index.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+describe.skipIf(!hasSqlite)('SQLiteStorage', () => {
+  let storage;
+
+  const keysOf = (entries) => entries.map((entry) => entry.key);
+
+  beforeEach(async () => {
+    storage = createStorage('sqlite');
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should reject invalid table names', () => {
+    expect(() => new SQLiteStorage({ table: 'kv; DROP TABLE kv' })).toThrow("Invalid SQLite table name 'kv; DROP TABLE kv'");
+  });
+
+  it('should store, retrieve and delete values', async () => {
+    await storage.put('user:1', { name: 'Alice', tags: ['a'] });
+    expect(await storage.get('user:1')).toEqual({ name: 'Alice', tags: ['a'] });
+    expect(await storage.get('missing')).toBe(null);
+
+    await storage.put('user:1', { name: 'Alice B.' });
+    expect(await storage.get('user:1')).toEqual({ name: 'Alice B.' });
+
+    expect(await storage.del('user:1')).toBe(true);
+    expect(await storage.del('user:1')).toBe(false);
+    expect(await storage.get('user:1')).toBe(null);
+  });
+
+  it('should scan by prefix in key order', async () => {
+    for (const key of ['user:3', 'post:1', 'user:1', 'user:10', 'user:2', 'user;']) {
+      await storage.put(key, key);
+    }
+
+    expect(keysOf(await storage.scan({ prefix: 'user:' }))).toEqual(['user:1', 'user:10', 'user:2', 'user:3']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', limit: 2 }))).toEqual(['user:1', 'user:10']);
+    expect(keysOf(await storage.scan({ prefix: 'user:', reverse: true, offset: 1 }))).toEqual(['user:2', 'user:10', 'user:1']);
+  });
+
+  it('should support range bounds and cursors', async () => {
+    for (const key of ['a', 'b', 'c', 'd', 'e']) {
+      await storage.put(key, key);
+    }
+
+    expect(keysOf(await storage.scan({ gt: 'a', lte: 'c' }))).toEqual(['b', 'c']);
+    expect(keysOf(await storage.scan({ gte: 'b', lt: 'e', reverse: true }))).toEqual(['d', 'c', 'b']);
+
+    const first = await storage.scan({ limit: 2 });
+    const second = await storage.scan({ limit: 2, cursor: first.cursor });
+    const third = await storage.scan({ limit: 2, cursor: second.cursor });
+    expect([keysOf(first), keysOf(second), keysOf(third)]).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    expect(third.cursor).toBe(null);
+  });
+
+  it('should iterate entries asynchronously', async () => {
+    for (let i = 0; i < 10; i++) {
+      await storage.put(`n:${i}`, i);
+    }
+
+    const values = [];
+    for await (const entry of storage.iterate({ prefix: 'n:', pageSize: 3 })) {
+      values.push(entry.value);
+    }
+    expect(values).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('should commit transactions atomically', async () => {
+    await storage.put('key1', 'original1');
+
+    const tx = await storage.tx();
+    expect(tx).toBeInstanceOf(SQLiteTransaction);
+    await tx.put('key1', 'modified1');
+    await tx.put('key2', 'new2');
+    await tx.del('key1');
+
+    expect(await tx.get('key2')).toBe('new2');
+    expect(await tx.get('key1')).toBe(null);
+    expect(await storage.get('key1')).toBe('original1');
+    expect(await storage.get('key2')).toBe(null);
+
+    await tx.commit();
+    expect(await storage.get('key1')).toBe(null);
+    expect(await storage.get('key2')).toBe('new2');
+    await expect(tx.commit()).rejects.toThrow('Transaction has already been committed');
+  });
+
+  it('should discard rolled back transactions', async () => {
+    await storage.put('key1', 'original1');
+
+    const tx = await storage.tx();
+    await tx.put('key1', 'modified1');
+    await tx.rollback();
+
+    expect(await storage.get('key1')).toBe('original1');
+    await expect(tx.get('key1')).rejects.toThrow('Transaction has already been rolled back');
+  });
+
+  it('should keep repeated reads stable within a transaction', async () => {
+    await storage.put('key1', 'original1');
+
+    const tx = await storage.tx();
+    expect(await tx.get('key1')).toBe('original1');
+    await storage.put('key1', 'outside');
+    expect(await tx.get('key1')).toBe('original1');
+    await tx.rollback();
+  });
+
+  it('should reject commits whose reads were changed by another commit', async () => {
+    await storage.put('counter', 10);
+    const first = await storage.tx();
+    const second = await storage.tx();
+    await first.put('counter', (await first.get('counter')) + 1);
+    await second.put('counter', (await second.get('counter')) + 1);
+
+    await first.commit();
+    const error = await second.commit().catch((e) => e);
+    expect(error).toBeInstanceOf(TransactionConflictError);
+    expect(error.key).toBe('counter');
+    expect(await storage.get('counter')).toBe(11);
+
+    const reader = await storage.tx();
+    expect(await reader.get('missing')).toBe(null);
+    await storage.put('missing', 1);
+    await expect(reader.commit()).rejects.toThrow(TransactionConflictError);
+  });
+
+  it('should retry conflicting read-modify-write transactions', async () => {
+    await storage.put('counter', 0);
+    await Promise.all(Array.from({ length: 5 }, () => storage.runTransaction(async (tx) => {
+      const value = await tx.get('counter');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      await tx.put('counter', value + 1);
+    }, { retries: 10 })));
+
+    expect(await storage.get('counter')).toBe(5);
+  });
+
+  it('should roll back the whole commit when a write fails', async () => {
+    await storage.put('key1', 'original1');
+
+    const put = storage.statements.put;
+    storage.statements.put = {
+      run: (key, ...args) => {
+        if (key === 'key2') throw new Error('disk I/O error');
+        return put.run(key, ...args);
+      }
+    };
+
+    const tx = await storage.tx();
+    await tx.put('key1', 'modified1');
+    await tx.put('key2', 'new2');
+    await tx.put('key3', 'new3');
+    await expect(tx.commit()).rejects.toThrow('disk I/O error');
+    storage.statements.put = put;
+
+    expect(await storage.get('key1')).toBe('original1');
+    expect(await storage.get('key3')).toBe(null);
+  });
+
+  it('should reject values the codec cannot encode when they are put in a transaction', async () => {
+    const tx = await storage.tx();
+    await expect(tx.put('key', () => {})).rejects.toThrow("Cannot store function value for key 'key'");
+    await tx.rollback();
+  });
+
+  it('should throw when operating on closed storage', async () => {
+    const tx = await storage.tx();
+    await storage.close();
+
+    await expect(storage.get('key')).rejects.toThrow('Storage is not open');
+    await expect(storage.put('key', 'value')).rejects.toThrow('Storage is not open');
+    await expect(storage.scan()).rejects.toThrow('Storage is not open');
+    await expect(tx.put('key', 'value')).rejects.toThrow('Storage is not open');
+    await storage.open();
+  });
+});
+
+describe.skipIf(!hasSqlite)('SQLiteStorage on disk', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-sqlite-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should persist data across connections', async () => {
+    const path = join(dir, 'data.sqlite');
+    const first = createStorage('sqlite', { path, table: 'notes' });
+    await first.open();
+    await first.put('n1', { title: 'hello' });
+    await first.close();
+
+    const second = createStorage('sqlite', { path, table: 'notes' });
+    await second.open();
+    expect(await second.get('n1')).toEqual({ title: 'hello' });
+    await second.close();
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MemoryStorage, SubStorage, SubTransaction } from './index.js';
+
+describe('SubStorage', () => {
+  let storage;
+  let users;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+    users = storage.sub('users');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should validate namespace names', () => {
+    expect(users).toBeInstanceOf(SubStorage);
+    expect(() => storage.sub('')).toThrow("Invalid sub-storage name ''");
+    expect(() => storage.sub('a:b')).toThrow("Invalid sub-storage name 'a:b'");
+    expect(() => storage.sub(1)).toThrow("Invalid sub-storage name '1'");
+  });
+
+  it('should prefix keys transparently', async () => {
+    await users.put('1', { name: 'Alice' });
+    await storage.put('users2', 'outside');
+
+    expect(await users.get('1')).toEqual({ name: 'Alice' });
+    expect(await storage.get('users:1')).toEqual({ name: 'Alice' });
+    expect(await users.get('users2')).toBe(null);
+    expect(await users.del('1')).toBe(true);
+    expect(await storage.get('users:1')).toBe(null);
+  });
+
+  it('should scope scan to the namespace', async () => {
+    await storage.put('posts:1', 'post');
+    await storage.put('usersX', 'sibling');
+    for (const k of ['a:1', 'a:2', 'b:1', 'c']) {
+      await users.put(k, k);
+    }
+    const keysOf = (entries) => entries.map((entry) => entry.key);
+
+    expect(keysOf(await users.scan())).toEqual(['a:1', 'a:2', 'b:1', 'c']);
+    expect(keysOf(await users.scan({ prefix: 'a:' }))).toEqual(['a:1', 'a:2']);
+    expect(keysOf(await users.scan({ gt: 'a:2', lte: 'c' }))).toEqual(['b:1', 'c']);
+    expect(keysOf(await users.scan({ reverse: true, limit: 2 }))).toEqual(['c', 'b:1']);
+
+    const collected = [];
+    for await (const { key } of users.iterate({ batchSize: 1 })) {
+      collected.push(key);
+    }
+    expect(collected).toEqual(['a:1', 'a:2', 'b:1', 'c']);
+  });
+
+  it('should page through the namespace with cursors', async () => {
+    for (const k of ['1', '2', '3', '4', '5']) {
+      await users.put(k, k);
+    }
+
+    const first = await users.scan({ limit: 2 });
+    const second = await users.scan({ limit: 2, cursor: first.cursor });
+    const third = await users.scan({ limit: 2, cursor: second.cursor });
+    expect([first, second, third].map((page) => page.map((entry) => entry.key))).toEqual([['1', '2'], ['3', '4'], ['5']]);
+    expect(third.cursor).toBe(null);
+  });
+
+  it('should nest namespaces', async () => {
+    const admins = users.sub('admins');
+    await admins.put('1', 'root');
+
+    expect(await storage.get('users:admins:1')).toBe('root');
+    expect(await users.get('admins:1')).toBe('root');
+    expect((await admins.scan()).map((entry) => entry.key)).toEqual(['1']);
+  });
+
+  it('should write batches into the namespace', async () => {
+    await users.put('old', 1);
+    await users.batch([
+      { type: 'put', key: 'new', value: 2 },
+      { type: 'del', key: 'old' }
+    ]);
+
+    expect(await storage.scan()).toEqual([{ key: 'users:new', value: 2 }]);
+  });
+
+  it('should run transactions scoped to the namespace', async () => {
+    const tx = await users.tx();
+    expect(tx).toBeInstanceOf(SubTransaction);
+    await tx.put('1', 'Alice');
+    expect(await tx.get('1')).toBe('Alice');
+    expect(await storage.get('users:1')).toBe(null);
+    await tx.commit();
+
+    await users.runTransaction(async (t) => {
+      await t.put('2', 'Bob');
+    });
+    expect((await storage.scan()).map((entry) => entry.key)).toEqual(['users:1', 'users:2']);
+  });
+
+  it('should participate in parent transactions', async () => {
+    await storage.put('users:1', 'Alice');
+
+    const tx = await storage.tx();
+    const scoped = tx.sub('users');
+    expect(await scoped.get('1')).toBe('Alice');
+    await scoped.put('2', 'Bob');
+    await tx.put('log:1', 'added Bob');
+    await tx.rollback();
+    expect(await storage.get('users:2')).toBe(null);
+
+    await storage.runTransaction(async (t) => {
+      await t.sub('users').put('2', 'Bob');
+      await t.put('log:1', 'added Bob');
+    });
+    expect(await storage.get('users:2')).toBe('Bob');
+    expect(await storage.get('log:1')).toBe('added Bob');
+  });
+
+  it('should watch only the namespace with unprefixed keys', async () => {
+    const changes = [];
+    users.watch({ prefix: 'a:' }, (change) => changes.push(change));
+    const feed = users.watch();
+
+    await storage.put('posts:1', 'ignored');
+    await users.put('b', 'ignored by prefix');
+    await users.put('a:1', 'one');
+
+    expect(changes.map(({ type, key, value }) => ({ type, key, value }))).toEqual([
+      { type: 'put', key: 'a:1', value: 'one' }
+    ]);
+    expect((await feed.next()).value).toMatchObject({ type: 'put', key: 'b' });
+    expect((await feed.next()).value).toMatchObject({ type: 'put', key: 'a:1' });
+    await feed.return();
+  });
+
+  it('should unprefix keys inside batch events', async () => {
+    const events = [];
+    users.watch({}, (event) => events.push(event));
+
+    await storage.batch([
+      { type: 'put', key: 'users:1', value: 'Alice' },
+      { type: 'put', key: 'posts:1', value: 'ignored' },
+      { type: 'put', key: 'users:2', value: 'Bob' }
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'batch', version: 1 });
+    expect(events[0].changes.map(({ key }) => key)).toEqual(['1', '2']);
+  });
+
+  it('should leave the parent lifecycle alone', async () => {
+    await users.open();
+    await users.close();
+    await users.put('1', 'still open');
+
+    expect(await storage.get('users:1')).toBe('still open');
+    expect(users.healthCheck()).toEqual(storage.healthCheck());
+  });
+});
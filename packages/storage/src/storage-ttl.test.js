@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { MemoryStorage, FileStorage, EncryptedStorage, createStaticKeyProvider, createStorage } from './index.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+// 过期清理在后台异步提交；nextTick 不受假定时器影响，在当前微任务全部完成后才执行
+const settle = () => new Promise((resolve) => process.nextTick(resolve));
+
+describe('MemoryStorage TTL', () => {
+  let storage;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    storage = new MemoryStorage({ sweepInterval: 0 });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    vi.useRealTimers();
+  });
+
+  it('should hide expired keys from get and scan', async () => {
+    await storage.put('session:1', 'short', { ttl: 20 });
+    await storage.put('session:2', 'long', { ttl: 60000 });
+    await storage.put('session:3', 'forever');
+
+    expect(await storage.get('session:1')).toBe('short');
+    vi.advanceTimersByTime(30);
+
+    expect(await storage.get('session:1')).toBe(null);
+    expect((await storage.scan({ prefix: 'session:' })).map((entry) => entry.key)).toEqual(['session:2', 'session:3']);
+  });
+
+  it('should accept an absolute expiresAt', async () => {
+    await storage.put('past', 1, { expiresAt: Date.now() - 1 });
+    await storage.put('future', 2, { expiresAt: new Date(Date.now() + 60000) });
+
+    expect(await storage.get('past')).toBe(null);
+    expect(await storage.get('future')).toBe(2);
+  });
+
+  it('should validate expiry options', async () => {
+    await expect(storage.put('a', 1, { ttl: 0 })).rejects.toThrow('TTL must be a positive number of milliseconds');
+    await expect(storage.put('a', 1, { ttl: '10' })).rejects.toThrow('TTL must be a positive number of milliseconds');
+    await expect(storage.put('a', 1, { expiresAt: 'tomorrow' })).rejects.toThrow('expiresAt must be a timestamp or a Date');
+  });
+
+  it('should clear the expiry when a key is overwritten without ttl', async () => {
+    await storage.put('a', 1, { ttl: 20 });
+    await storage.put('a', 2);
+    vi.advanceTimersByTime(30);
+
+    expect(await storage.get('a')).toBe(2);
+  });
+
+  it('should reap expired keys lazily on read', async () => {
+    await storage.put('a', 1, { ttl: 10 });
+    vi.advanceTimersByTime(20);
+
+    expect(storage.data.has('a')).toBe(true);
+    expect(await storage.get('a')).toBe(null);
+    await settle();
+    expect(storage.data.has('a')).toBe(false);
+    expect(storage.expiries.size).toBe(0);
+  });
+
+  it('should not report expired keys as deleted', async () => {
+    await storage.put('a', 1, { expiresAt: Date.now() - 1 });
+    expect(await storage.del('a')).toBe(false);
+  });
+
+  it('should sweep expired keys and emit one expire event per sweep', async () => {
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+    await storage.put('a', 'A', { ttl: 10 });
+    await storage.put('b', 'B', { ttl: 10 });
+    await storage.put('c', 'C');
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.sweep()).toBe(2);
+    expect(storage.data.size).toBe(1);
+    expect(changes.slice(3)).toEqual([{
+      type: 'batch',
+      version: 4,
+      changes: [
+        { type: 'expire', key: 'a', value: null, oldValue: 'A', version: 4 },
+        { type: 'expire', key: 'b', value: null, oldValue: 'B', version: 4 }
+      ]
+    }]);
+    expect(await storage.sweep()).toBe(0);
+  });
+
+  it('should not reap keys renewed before the reap is applied', async () => {
+    await storage.put('a', 1, { ttl: 10 });
+    vi.advanceTimersByTime(20);
+
+    const reap = storage._reap(['a']);
+    await storage.put('a', 2, { ttl: 60000 });
+    await reap;
+    await storage._reap(['a']);
+
+    expect(await storage.get('a')).toBe(2);
+  });
+
+  it('should run the background sweeper', async () => {
+    const swept = new MemoryStorage({ sweepInterval: 10 });
+    await swept.open();
+    await swept.put('a', 1, { ttl: 5 });
+    vi.advanceTimersByTime(10);
+    await settle();
+
+    expect(swept.data.size).toBe(0);
+    await swept.close();
+    expect(swept.sweeper).toBe(null);
+  });
+
+  it('should support ttl in transactions and batches', async () => {
+    const tx = await storage.tx();
+    await tx.put('tx', 1, { ttl: 10 });
+    await tx.commit();
+    await storage.batch([
+      { type: 'put', key: 'batch', value: 2, ttl: 10 },
+      { type: 'put', key: 'kept', value: 3 }
+    ]);
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.get('tx')).toBe(null);
+    expect(await storage.get('batch')).toBe(null);
+    expect(await storage.get('kept')).toBe(3);
+  });
+
+  it('should hide keys that expire during a transaction', async () => {
+    await storage.put('a', 1, { ttl: 20 });
+    const tx = await storage.tx();
+    expect(await tx.get('a')).toBe(1);
+    vi.advanceTimersByTime(30);
+
+    const other = await storage.tx();
+    expect(await other.get('a')).toBe(null);
+    await tx.rollback();
+    await other.rollback();
+  });
+});
+
+describe('FileStorage TTL', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    dir = await mkdtemp(join(tmpdir(), 'lfde-ttl-'));
+    storage = new FileStorage({ path: dir, sweepInterval: 0 });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(dir, { recursive: true, force: true });
+    vi.useRealTimers();
+  });
+
+  const reopen = async () => {
+    await storage.close();
+    storage = new FileStorage({ path: dir, sweepInterval: 0 });
+    await storage.open();
+  };
+
+  it('should persist expiry across restarts', async () => {
+    await storage.put('short', 1, { ttl: 20 });
+    await storage.put('long', 2, { ttl: 60000 });
+    await reopen();
+
+    expect(await storage.get('long')).toBe(2);
+    vi.advanceTimersByTime(30);
+    expect(await storage.get('short')).toBe(null);
+  });
+
+  it('should keep expiry in snapshots', async () => {
+    const expiresAt = Date.now() + 60000;
+    await storage.put('a', 1, { expiresAt });
+    await storage.put('b', 2);
+    await storage.compact();
+
+    const snapshot = JSON.parse(await readFile(join(dir, 'snapshot.json'), 'utf8'));
+    expect(snapshot.entries).toEqual([['a', 1, expiresAt], ['b', 2]]);
+
+    await reopen();
+    expect(storage.expiries.get('a')).toBe(expiresAt);
+  });
+
+  it('should log swept keys as deletes', async () => {
+    await storage.put('a', 1, { ttl: 10 });
+    vi.advanceTimersByTime(20);
+    expect(await storage.sweep()).toBe(1);
+
+    await reopen();
+    expect(storage.data.has('a')).toBe(false);
+  });
+});
+
+describe.skipIf(!hasSqlite)('SQLiteStorage TTL', () => {
+  let storage;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    storage = createStorage('sqlite', { sweepInterval: 0 });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    vi.useRealTimers();
+  });
+
+  it('should hide, reap and sweep expired keys', async () => {
+    await storage.put('a', 1, { ttl: 10 });
+    await storage.put('b', 2, { ttl: 10 });
+    await storage.put('c', 3);
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.get('a')).toBe(null);
+    expect((await storage.scan()).map((entry) => entry.key)).toEqual(['c']);
+    expect(await storage.sweep()).toBe(1);
+    expect(await storage.del('b')).toBe(false);
+  });
+
+  it('should support ttl in transactions', async () => {
+    const tx = await storage.tx();
+    await tx.put('a', 1, { ttl: 10 });
+    await tx.commit();
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.get('a')).toBe(null);
+  });
+});
+
+describe('EncryptedStorage TTL', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should pass expiry through to the wrapped storage', async () => {
+    const inner = new MemoryStorage({ sweepInterval: 0 });
+    const storage = new EncryptedStorage(inner, { keyProvider: createStaticKeyProvider(randomBytes(32)) });
+    await storage.open();
+
+    await storage.put('a', 'secret', { ttl: 10 });
+    await storage.batch([{ type: 'put', key: 'b', value: 'secret', ttl: 10 }]);
+    vi.advanceTimersByTime(20);
+
+    expect(await storage.get('a')).toBe(null);
+    expect(await storage.get('b')).toBe(null);
+    await storage.close();
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryStorage, FileStorage, IStorage } from './index.js';
+
+describe('MemoryStorage watch', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should emit puts and deletes with old values and versions', async () => {
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+
+    await storage.put('a', 1);
+    await storage.put('a', 2);
+    await storage.del('a');
+
+    expect(changes).toEqual([
+      { type: 'put', key: 'a', value: 1, oldValue: null, version: 1 },
+      { type: 'put', key: 'a', value: 2, oldValue: 1, version: 2 },
+      { type: 'del', key: 'a', value: null, oldValue: 2, version: 3 }
+    ]);
+  });
+
+  it('should not emit deletes of missing keys', async () => {
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+
+    expect(await storage.del('missing')).toBe(false);
+    expect(changes).toEqual([]);
+  });
+
+  it('should filter changes by prefix and range', async () => {
+    const users = [];
+    const range = [];
+    storage.watch({ prefix: 'user:' }, (change) => users.push(change.key));
+    storage.watch({ gte: 'b', lt: 'd' }, (change) => range.push(change.key));
+
+    for (const key of ['a', 'b', 'c', 'd', 'user:1', 'post:1']) {
+      await storage.put(key, key);
+    }
+
+    expect(users).toEqual(['user:1']);
+    expect(range).toEqual(['b', 'c']);
+  });
+
+  it('should emit transaction changes only after commit as one batch event', async () => {
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+    await storage.put('a', 'a0');
+
+    const tx = await storage.tx();
+    await tx.put('a', 'a1');
+    await tx.put('b', 'b1');
+    expect(changes).toHaveLength(1);
+
+    await tx.commit();
+    expect(changes.slice(1)).toEqual([{
+      type: 'batch',
+      version: 2,
+      changes: [
+        { type: 'put', key: 'a', value: 'a1', oldValue: 'a0', version: 2 },
+        { type: 'put', key: 'b', value: 'b1', oldValue: null, version: 2 }
+      ]
+    }]);
+
+    const rolledBack = await storage.tx();
+    await rolledBack.put('c', 'c1');
+    await rolledBack.rollback();
+    expect(changes).toHaveLength(2);
+  });
+
+  it('should not emit changes of conflicting transactions', async () => {
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+
+    const tx = await storage.tx();
+    await tx.put('a', 'tx');
+    await storage.put('a', 'direct');
+    await expect(tx.commit()).rejects.toThrow('Transaction conflict');
+
+    expect(changes.map((change) => change.value)).toEqual(['direct']);
+  });
+
+  it('should stop emitting after unsubscribe', async () => {
+    const changes = [];
+    const unwatch = storage.watch({}, (change) => changes.push(change.key));
+
+    await storage.put('a', 1);
+    unwatch();
+    await storage.put('b', 2);
+
+    expect(changes).toEqual(['a']);
+  });
+
+  it('should isolate failing watchers', async () => {
+    const changes = [];
+    storage.watch({}, () => {
+      throw new Error('watcher failed');
+    });
+    storage.watch({}, (change) => changes.push(change.key));
+
+    await storage.put('a', 1);
+    expect(changes).toEqual(['a']);
+    expect(await storage.get('a')).toBe(1);
+  });
+
+  it('should provide an async iterable variant', async () => {
+    const feed = storage.watch({ prefix: 'n:' });
+
+    await storage.put('n:1', 1);
+    await storage.put('other', 0);
+    const pending = (async () => {
+      const keys = [];
+      for await (const change of feed) {
+        keys.push(change.key);
+        if (keys.length === 3) break;
+      }
+      return keys;
+    })();
+    await storage.put('n:2', 2);
+    await storage.del('n:1');
+
+    expect(await pending).toEqual(['n:1', 'n:2', 'n:1']);
+    // break 后自动取消订阅
+    expect(storage.feed.watchers.size).toBe(0);
+  });
+
+  it('should end async iterators when the storage is closed', async () => {
+    const feed = storage.watch();
+    await storage.put('a', 1);
+    await storage.close();
+
+    expect(await feed.next()).toEqual({ value: expect.objectContaining({ key: 'a' }), done: false });
+    expect(await feed.next()).toEqual({ value: undefined, done: true });
+    await storage.open();
+  });
+
+  it('should require adapters to implement watch', () => {
+    expect(() => new IStorage().watch({}, () => {})).toThrow('watch method must be implemented');
+  });
+});
+
+describe('FileStorage watch', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'lfde-watch-'));
+    storage = new FileStorage({ path: dir });
+    await storage.open();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should emit changes after they are written to the log', async () => {
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+
+    await storage.put('a', 1);
+    await storage.del('a');
+    expect(changes.map(({ type, key }) => `${type}:${key}`)).toEqual(['put:a', 'del:a']);
+  });
+
+  it('should not emit changes while replaying the log on open', async () => {
+    await storage.put('a', 1);
+    await storage.close();
+
+    storage = new FileStorage({ path: dir });
+    const changes = [];
+    storage.watch({}, (change) => changes.push(change));
+    await storage.open();
+    expect(changes).toEqual([]);
+  });
+});
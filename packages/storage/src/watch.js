@@ -0,0 +1,110 @@
+/**
+ * 变更订阅（change feed）
+ * 适配器在每次提交生效后调用 emit()，按订阅的键范围把变更分发给回调或异步迭代器；
+ * 每次提交对每个订阅者只发出一个事件，多条变更合并为 {type: 'batch', version, changes}
+ */
+
+import { matchesRange } from './interface.js';
+
+export class ChangeFeed {
+  constructor() {
+    this.watchers = new Set();
+  }
+
+  /**
+   * 订阅变更
+   * @param {Object} options - 与 scan 相同的 prefix/gt/gte/lt/lte 过滤条件
+   * @param {Function} callback - 接收变更事件的回调
+   * @returns {Function} 取消订阅的函数
+   */
+  subscribe(options, callback) {
+    const watcher = { options, callback };
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+
+  /**
+   * 以异步迭代器的形式订阅变更，迭代器结束（break/return）时自动取消订阅
+   * 消费慢于写入时变更会在内存中排队
+   * @param {Object} options - 过滤条件
+   * @returns {AsyncIterableIterator<Object>}
+   */
+  iterate(options) {
+    const queue = [];
+    let waiting = null;
+    let done = false;
+
+    const watcher = {
+      options,
+      callback: (change) => {
+        if (waiting) {
+          waiting({ value: change, done: false });
+          waiting = null;
+        } else {
+          queue.push(change);
+        }
+      },
+      finish: () => {
+        done = true;
+        this.watchers.delete(watcher);
+        if (waiting) {
+          waiting({ value: undefined, done: true });
+          waiting = null;
+        }
+      }
+    };
+    this.watchers.add(watcher);
+
+    return {
+      next() {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => {
+          waiting = resolve;
+        });
+      },
+      return() {
+        queue.length = 0;
+        watcher.finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * 分发一次提交产生的变更
+   * 只有一条变更的提交直接发出该变更，多条变更的提交发出一个 batch 事件，只含订阅范围内的变更；
+   * 回调抛出的错误被忽略：提交已经生效，不能因为某个订阅者失败而报告写入失败
+   * @param {Array<Object>} changes - 同一次提交的变更列表，共享同一个 version
+   */
+  emit(changes) {
+    if (this.watchers.size === 0 || changes.length === 0) return;
+    for (const { options, callback } of this.watchers) {
+      const matched = changes.filter((change) => matchesRange(change.key, options));
+      if (matched.length === 0) continue;
+      const event = changes.length === 1 ? matched[0] : { type: 'batch', version: matched[0].version, changes: matched };
+      try {
+        callback(event);
+      } catch (error) {
+        // ignore
+      }
+    }
+  }
+
+  /**
+   * 结束所有订阅：回调不再收到变更，异步迭代器在取完已排队的变更后结束
+   */
+  close() {
+    for (const watcher of [...this.watchers]) {
+      watcher.finish?.();
+    }
+    this.watchers.clear();
+  }
+}
@@ -80,6 +80,25 @@ describe('SyncConnection', () => {
       expect(syncConnection.getStatus()).toBe('disconnected');
     });
   });
+  
+  describe('healthCheck', () => {
+    it('should report degraded while disconnected', () => {
+      expect(syncConnection.healthCheck()).toEqual({ status: 'degraded', connection: 'disconnected' });
+    });
+    
+    it('should report ok once connected', async () => {
+      await syncConnection.connect();
+      expect(syncConnection.healthCheck()).toEqual({ status: 'ok', connection: 'connected' });
+    });
+  });
+  
+  describe('dispose', () => {
+    it('should disconnect when disposed', async () => {
+      await syncConnection.connect();
+      await syncConnection.dispose();
+      expect(syncConnection.getStatus()).toBe('disconnected');
+    });
+  });
 });
 
 describe('createSyncConnection', () => {
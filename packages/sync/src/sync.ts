@@ -78,6 +78,25 @@ export class SyncConnection {
     return 'disconnected';
   }
   
+  /**
+   * Health check used by core.health(); a local-first app keeps working
+   * while disconnected, so a dropped connection only degrades it
+   */
+  healthCheck(): { status: 'ok' | 'degraded'; connection: 'connected' | 'disconnected' | 'connecting' } {
+    const connection = this.getStatus();
+    return {
+      status: connection === 'connected' ? 'ok' : 'degraded',
+      connection
+    };
+  }
+  
+  /**
+   * Release the connection; called by the core container on disposal
+   */
+  async dispose(): Promise<void> {
+    await this.disconnect();
+  }
+  
   /**
    * Push local changes to remote server
    */